@@ -0,0 +1,944 @@
+/**
+ * assembler.js
+ *
+ * Two-pass assembler for the cpu2m3.js machine. Pass 1 reads the source,
+ * expanding includes, macros and conditional blocks as it goes, places every
+ * instruction and data word and records labels and constants; pass 2 builds
+ * the machine words, instructions from the ISA table in isa.js, to the
+ * word length and operand layout of the machine's geometry (geometry.js). Directives
+ * place words anywhere in main memory and preload the data memory banks.
+ *
+ * Problems are reported as diagnostics carrying the file, line and column
+ * they refer to. Warnings are returned with the assembled image; if there is
+ * any error, assembly is aborted with an AssemblyError listing everything
+ * that was found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ISA, WORD_FORMATS, wordFormatLayout, operandFormats, encode, parseIndexRegister } = require('./isa');
+const { ExpressionError, evaluate } = require('./expression');
+const { DEFAULT_GEOMETRY, makeGeometry, sameGeometry, describeGeometry } = require('./geometry');
+
+// The default cpu2m3.js machine's memory, used when the caller does not say.
+const DEFAULT_MEMORY_WORDS = DEFAULT_GEOMETRY.memoryWords;
+const DEFAULT_DATA_BANKS = DEFAULT_GEOMETRY.dataBanks;
+const DEFAULT_WORDS_PER_BANK = DEFAULT_GEOMETRY.wordsPerBank;
+
+const LABEL_PATTERN = /^[A-Z_.$][A-Z0-9_.$]*$/;
+
+/**
+ * Thrown when a program has assembly errors. `diagnostics` holds every error
+ * and warning found, in source order.
+ */
+class AssemblyError extends Error {
+    constructor(diagnostics) {
+        super(diagnostics.map(formatDiagnostic).join('\n'));
+        this.name = 'AssemblyError';
+        this.diagnostics = diagnostics;
+    }
+}
+
+// `file:line:column: severity: message`, the form most editors can jump to.
+function formatDiagnostic(diagnostic) {
+    const { file, line, column, severity, message } = diagnostic;
+    return `${file}:${line}:${column}: ${severity}: ${message}`;
+}
+
+// Cuts a line at its comment: the first ';' outside a character literal.
+function stripComment(text) {
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        if (quoted && text[i] === '\\') {
+            i++;
+        } else if (text[i] === "'") {
+            quoted = !quoted;
+        } else if (!quoted && text[i] === ';') {
+            return text.slice(0, i);
+        }
+    }
+    return text;
+}
+
+/**
+ * Splits one source line into an optional label and the instruction tokens:
+ * the mnemonic, then one token per comma-separated operand expression, and
+ * the `successor` token written after `->`, if any. Columns are 1-based.
+ * Everything after ';' is a comment.
+ */
+function tokenizeLine(text) {
+    const code = stripComment(text);
+
+    let label = null;
+    let rest = 0;
+    const colon = code.indexOf(':');
+    const quote = code.indexOf("'");
+    if (colon >= 0 && (quote < 0 || colon < quote)) {
+        const name = code.slice(0, colon).trim();
+        label = { name: name.toUpperCase(), column: code.search(/\S/) + 1 };
+        rest = colon + 1;
+    }
+
+    const tokens = [];
+    let successor = null;
+    const mnemonic = /[^\s,]+/g;
+    mnemonic.lastIndex = rest;
+    const match = mnemonic.exec(code);
+    if (match) {
+        tokens.push({ text: match[0], column: match.index + 1 });
+        let start = mnemonic.lastIndex;
+        // `-> expression` after the operands names the next instruction.
+        let end = code.length;
+        let quoted = false;
+        for (let i = start; i < code.length - 1; i++) {
+            if (quoted && code[i] === '\\') {
+                i++;
+            } else if (code[i] === "'") {
+                quoted = !quoted;
+            } else if (!quoted && code[i] === '-' && code[i + 1] === '>') {
+                end = i;
+                break;
+            }
+        }
+        if (end < code.length) {
+            const text = code.slice(end + 2);
+            const offset = text.search(/\S/);
+            successor = { text: text.trim(), column: end + 3 + Math.max(offset, 0) };
+        }
+        // Operands follow, split at commas outside character literals. A comma
+        // straight after the mnemonic (`LAI, 10`) is allowed.
+        const lead = code.slice(start, end).match(/^\s*,?/)[0];
+        start += lead.length;
+        if (code.slice(start, end).trim() !== '' || lead.includes(',')) {
+            quoted = false;
+            for (let i = start; i <= end; i++) {
+                if (i < end && quoted && code[i] === '\\') {
+                    i++;
+                } else if (i < end && code[i] === "'") {
+                    quoted = !quoted;
+                } else if (i === end || (!quoted && code[i] === ',')) {
+                    const operand = code.slice(start, i);
+                    const offset = operand.search(/\S/);
+                    tokens.push(offset < 0
+                        ? { text: '', column: i + 1 }
+                        : { text: operand.trim(), column: start + offset + 1 });
+                    start = i + 1;
+                }
+            }
+        }
+    }
+    return { label, tokens, successor, code: code.slice(rest).trim() };
+}
+
+// Assembler directives. Everything else in the mnemonic position is an
+// instruction or a macro.
+const DIRECTIVES = new Set(['.ORG', '.WORD', '.SPACE', '.EQU', '.DATA', '.CODE', '.FORMAT']);
+const CONDITIONALS = new Set(['.IF', '.ELSE', '.ENDIF']);
+
+// Guards against a file including itself through others, or a macro
+// expanding itself forever.
+const MAX_INCLUDE_DEPTH = 16;
+const MAX_MACRO_DEPTH = 32;
+
+function readSourceFile(file) {
+    return fs.readFileSync(file, 'utf8');
+}
+
+// Where a diagnostic points: the file and line, plus the macro expansion the
+// line came from, if any.
+function describeLocation(at, from) {
+    return from && at.file === from.file ? `line ${at.line}` : `${at.file}:${at.line}`;
+}
+
+/**
+ * Substitutes a macro's arguments into one line of its body: `\NAME` becomes
+ * the argument for parameter NAME and `@LABEL` becomes `LABEL.n`, a label
+ * local to expansion number `n`. Character literals are left alone.
+ */
+function substituteMacroLine(text, params, args, n) {
+    let out = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            out += c;
+            if (c === '\\' && i + 1 < text.length) out += text[++i];
+            else if (c === "'") quoted = false;
+            continue;
+        }
+        if (c === "'") {
+            quoted = true;
+            out += c;
+            continue;
+        }
+        const name = (c === '\\' || c === '@') && text.slice(i + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        if (name && c === '\\' && params.includes(name[0].toUpperCase())) {
+            out += args[params.indexOf(name[0].toUpperCase())];
+            i += name[0].length;
+        } else if (name && c === '@') {
+            out += `${name[0]}.${n}`;
+            i += name[0].length;
+        } else {
+            out += c;
+        }
+    }
+    return out;
+}
+
+/**
+ * Assembles a program.
+ *
+ * Besides instructions the source may contain directives:
+ *  - `.ORG address`     continue placing program words at `address`
+ *  - `.WORD v, ...`     one word per value, each an expression (see expression.js)
+ *  - `.SPACE n`         reserve `n` words, initially zero
+ *  - `.EQU NAME, value` define a constant usable wherever a number is
+ *  - `.DATA bank, word` place the following `.WORD`/`.SPACE` in data memory,
+ *                       starting at `bank, word` and running on into later banks
+ *  - `.CODE`            go back to placing words in program memory
+ *  - `.MACRO NAME P, ...` ... `.ENDM`
+ *                       define a macro; `NAME a, ...` expands its body with
+ *                       `\P` replaced by the arguments and `@LABEL` made
+ *                       local to the expansion
+ *  - `.INCLUDE "file"`  assemble another file here, found relative to this one
+ *  - `.IF expr` ... [`.ELSE` ...] `.ENDIF`
+ *                       assemble the first part only if `expr` is not zero
+ *  - `.FORMAT name`     the instruction word format (see WORD_FORMATS in
+ *                       isa.js), before the first program word
+ * The machine's geometry is known by the constants `WORD_SIZE`,
+ * `OPCODE_WIDTH`, `OPERAND_WIDTH`, `MEMORY_WORDS`, `DATA_BANKS` and
+ * `WORDS_PER_BANK`, unless the program defines those names itself.
+ * In the successor format an instruction may end with `-> expr`, the address
+ * of the instruction to run next. Without it the next instruction in source
+ * order follows, wherever it was placed.
+ * A program without `.ORG` is placed at the end of main memory. Once `.ORG` is
+ * used, words before the first `.ORG` start at address 0. Execution starts at
+ * the first instruction in source order.
+ *
+ * @param {string} program Assembly source text.
+ * @param {object} [options={}]
+ * @param {string} [options.file='<source>'] Name used in diagnostics and
+ *        listings; `.INCLUDE` paths are relative to its directory.
+ * @param {object} [options.geometry=DEFAULT_GEOMETRY] The machine's word length,
+ *        instruction layout and memory sizes (see geometry.js).
+ * @param {number} [options.numWords] Words of main memory the program must fit
+ *        in; the geometry's by default.
+ * @param {number} [options.numBanks] Data memory banks available to `.DATA`.
+ * @param {number} [options.wordsPerBank] Words in each data memory bank.
+ * @param {function(string): string} [options.readFile] Reads included files.
+ * @param {function(string)} [options.log] Receives assembler progress messages.
+ * @param {string} [options.wordFormat='sequential'] The word format until a
+ *        `.FORMAT` directive says otherwise.
+ * @param {Map<number, number>} [options.placement] Program addresses chosen
+ *        by a placement optimizer (see optimize.js): before reading the line
+ *        with a given sequence number (its index in `lines`) the program
+ *        location moves to the address, as if by `.ORG`. `.ORG` lines then
+ *        only end `.DATA` sections.
+ * @returns {object} The image: `words` (program memory from `baseAddress`
+ *          up, reserved and unused words zero), `baseAddress` (the lowest
+ *          address the program uses; relative jumps count from it), `entry`
+ *          (the address execution starts at), `data` (`{ bank, word, value,
+ *          file, line }` words to preload into data memory), `lines` (every
+ *          source line read, with macro expansions, as `{ file, line, text,
+ *          macro }`), `statements` (the words each of those lines placed;
+ *          an instruction's `labelled` says whether its operands used a label),
+ *          `labels` (label to offset from `baseAddress`), `symbols` (label or
+ *          constant to `{ kind, value, file, line, ... }`), `wordFormat`,
+ *          `geometry`, `file` and `warnings`.
+ * @throws {AssemblyError} If the program has errors.
+ */
+function assemble(program, options = {}) {
+    const file = options.file || '<source>';
+    const geometry = makeGeometry(options.geometry);
+    const numWords = options.numWords !== undefined ? options.numWords : geometry.memoryWords;
+    const numBanks = options.numBanks !== undefined ? options.numBanks : geometry.dataBanks;
+    const wordsPerBank = options.wordsPerBank !== undefined ? options.wordsPerBank : geometry.wordsPerBank;
+    const readFile = options.readFile || readSourceFile;
+    const log = options.log || (() => {});
+    const placement = options.placement || new Map();
+    let wordFormat = options.wordFormat || 'sequential';
+    operandFormats(wordFormat, geometry); // throws for an unknown format
+    const diagnostics = [];
+    // `at` is a source position: { file, line, seq, expansion }. `seq` orders
+    // lines as they were read; `expansion` is the macro call a line came from.
+    const report = (severity, at, column, message) => {
+        // Name the macro calls the line came from, innermost first, folding
+        // repeats (a recursive macro) into a count.
+        const calls = [];
+        for (let call = at.expansion; call; call = call.parent) {
+            const text = `in macro ${call.name} at ${describeLocation(call.at)}`;
+            const last = calls[calls.length - 1];
+            if (last && last.text === text) last.count++;
+            else calls.push({ text, count: 1 });
+        }
+        if (calls.length > 0) {
+            message += ` (${calls.map(c => c.count > 1 ? `${c.text}, ${c.count} times` : c.text).join(', ')})`;
+        }
+        diagnostics.push({ severity, file: at.file, line: at.line, column, message, seq: at.seq });
+    };
+
+    // --- PASS 1: Pre-processing, Placement and Symbols ---
+    // Program words are counted from 0 until the end of the pass, when the
+    // origin of a program without `.ORG` is known.
+    const symbols = {};
+    const macros = {};
+    const statements = [];
+    const lines = [];
+    const programUsedBy = new Map(); // location -> at
+    const dataUsedBy = new Map();    // bank * wordsPerBank + word -> at
+    const dataLimit = numBanks * wordsPerBank;
+    let hasOrg = placement.size > 0;
+    let location = 0;
+    let dataLocation = null; // set while a .DATA section is open
+    let defining = null;     // the macro whose body is being read
+    let expansionCount = 0;
+    const conditions = [];   // open .IF blocks, innermost last
+
+    // Lines are read from a stack of sources: files being included and macros
+    // being expanded. Each item is { text, file, line }.
+    const toItems = (source, sourceFile) => source.split(/\r?\n/).map((text, i) => ({ text, file: sourceFile, line: i + 1 }));
+    const sources = [{ items: toItems(program, file), next: 0, file, expansion: null }];
+
+    // Evaluates an operand expression, reporting any problem at its position.
+    // Returns null if the expression cannot be evaluated.
+    const evaluateOperand = (token, at, lookup) => {
+        try {
+            return evaluate(token.text, lookup, { maxShift: geometry.wordSize });
+        } catch (error) {
+            if (!(error instanceof ExpressionError)) throw error;
+            report('error', at, token.column + error.offset, error.message);
+            return null;
+        }
+    };
+
+    // The machine's sizes, for words built by hand; the program's own
+    // symbols of the same names take precedence.
+    const machineConstants = {
+        WORD_SIZE: geometry.wordSize,
+        OPCODE_WIDTH: geometry.opcodeWidth,
+        OPERAND_WIDTH: geometry.operandWidth,
+        MEMORY_WORDS: geometry.memoryWords,
+        DATA_BANKS: geometry.dataBanks,
+        WORDS_PER_BANK: geometry.wordsPerBank,
+    };
+
+    // Directive arguments that decide placement must be known in pass 1:
+    // expressions of numbers and constants defined further up.
+    const evaluateNow = (token, at) => evaluateOperand(token, at, (name, offset) => {
+        if (symbols[name] && symbols[name].kind === 'constant') return symbols[name].value;
+        if (!symbols[name] && name in machineConstants) return BigInt(machineConstants[name]);
+        throw new ExpressionError(`'${name}' must be a number or a constant defined earlier`, offset);
+    });
+
+    const defineSymbol = (name, at, column, symbol) => {
+        if (!LABEL_PATTERN.test(name)) {
+            report('error', at, column, `invalid ${symbol.kind} name '${name}'`);
+            return;
+        }
+        if (symbols[name]) {
+            report('error', at, column, `duplicate ${symbol.kind} '${name}' (first defined on ${describeLocation(symbols[name], at)})`);
+            return;
+        }
+        if (ISA.byMnemonic[name]) {
+            report('warning', at, column, `${symbol.kind} '${name}' has the same name as an instruction`);
+        }
+        symbols[name] = { ...symbol, file: at.file, line: at.line, column, at };
+    };
+
+    // Claims `count` words at `start`, reporting any already claimed.
+    const claim = (usedBy, start, count, at, describe) => {
+        for (let i = 0; i < count; i++) {
+            const owner = usedBy.get(start + i);
+            if (owner !== undefined) {
+                report('error', at, 1, `${describe(start + i)} is already used by ${describeLocation(owner, at)}`);
+                return;
+            }
+        }
+        for (let i = 0; i < count; i++) usedBy.set(start + i, at);
+    };
+    const describeData = linear => `data word ${Math.floor(linear / wordsPerBank)},${linear % wordsPerBank}`;
+
+    // Places `count` words for a statement in the open section.
+    let programOverflow = false;
+    const place = (statement, count) => {
+        if (dataLocation !== null) {
+            if (dataLocation + count > dataLimit) {
+                report('error', statement.at, statement.opToken.column, `data runs past the last bank (${numBanks} banks of ${wordsPerBank} words)`);
+                return;
+            }
+            statement.memory = 'data';
+            statement.location = dataLocation;
+            claim(dataUsedBy, dataLocation, count, statement.at, describeData);
+            dataLocation += count;
+        } else {
+            if (location + count > numWords) {
+                // Once is enough: the words after it do not fit either.
+                if (!programOverflow) {
+                    report('error', statement.at, statement.opToken.column, hasOrg
+                        ? `program runs past the end of main memory (${numWords} words)`
+                        : `program needs more than the ${numWords} words of main memory`);
+                }
+                programOverflow = true;
+                return;
+            }
+            statement.memory = 'program';
+            statement.location = location;
+            claim(programUsedBy, location, count, statement.at, address => `address ${address}`);
+            location += count;
+        }
+        statement.count = count;
+        statements.push(statement);
+    };
+
+    // .IF, .ELSE and .ENDIF are followed even inside skipped blocks, to keep
+    // their nesting straight.
+    const conditional = (op, operandTokens, opToken, at) => {
+        const current = conditions[conditions.length - 1];
+        if (op === '.IF') {
+            const enclosing = conditions.every(c => c.active);
+            let taken = false;
+            if (enclosing && operandTokens.length !== 1) {
+                report('error', at, opToken.column, '.IF expects 1 operand (an expression)');
+            } else if (enclosing) {
+                const value = evaluateNow(operandTokens[0], at);
+                taken = value !== null && value !== 0n;
+            }
+            conditions.push({ at, enclosing, taken, active: enclosing && taken, inElse: false });
+        } else if (!current) {
+            report('error', at, opToken.column, `${op} without .IF`);
+        } else if (op === '.ELSE') {
+            if (current.inElse) {
+                report('error', at, opToken.column, `second .ELSE for the .IF on ${describeLocation(current.at, at)}`);
+            }
+            current.inElse = true;
+            current.active = current.enclosing && !current.taken;
+        } else {
+            conditions.pop();
+        }
+    };
+
+    // Starts reading a file named by .INCLUDE, relative to the including file.
+    const include = (operandTokens, opToken, at, source) => {
+        const quoted = operandTokens.length === 1 && operandTokens[0].text.match(/^"([^"]+)"$/);
+        if (!quoted) {
+            report('error', at, opToken.column, '.INCLUDE expects a file name in double quotes');
+            return;
+        }
+        const includeFile = source.file === '<source>' ? quoted[1] : path.join(path.dirname(source.file), quoted[1]);
+        const files = sources.filter(s => !s.expansion).map(s => path.resolve(s.file));
+        if (files.includes(path.resolve(includeFile))) {
+            report('error', at, operandTokens[0].column, `'${includeFile}' is already being included`);
+            return;
+        }
+        if (files.length > MAX_INCLUDE_DEPTH) {
+            report('error', at, operandTokens[0].column, `includes nested more than ${MAX_INCLUDE_DEPTH} deep`);
+            return;
+        }
+        let text;
+        try {
+            text = readFile(includeFile);
+        } catch (error) {
+            report('error', at, operandTokens[0].column, `cannot include '${includeFile}': ${error.message}`);
+            return;
+        }
+        log(`  Including ${includeFile}`);
+        sources.push({ items: toItems(text, includeFile), next: 0, file: includeFile, expansion: null });
+    };
+
+    // Starts a macro definition: `.MACRO NAME P1, P2, ...`.
+    const defineMacro = (operandTokens, opToken, at) => {
+        const [first, ...rest] = operandTokens.map(t => t.text);
+        const [name, ...firstParam] = (first || '').split(/\s+/);
+        const params = firstParam.concat(rest).map(p => p.toUpperCase());
+        // The body is read even if the definition is bad, so it is not
+        // assembled as code; `valid` decides whether the macro is kept.
+        defining = { name: name.toUpperCase(), params, body: [], at, valid: false };
+        if (!LABEL_PATTERN.test(defining.name) || defining.name.startsWith('.')) {
+            report('error', at, opToken.column, `invalid macro name '${name}'`);
+        } else if (ISA.byMnemonic[defining.name]) {
+            report('error', at, opToken.column, `macro '${defining.name}' would hide the instruction of that name`);
+        } else if (macros[defining.name]) {
+            report('error', at, opToken.column, `duplicate macro '${defining.name}' (first defined on ${describeLocation(macros[defining.name].at, at)})`);
+        } else {
+            defining.valid = true;
+        }
+        params.forEach((param, i) => {
+            if (!/^[A-Z_][A-Z0-9_]*$/.test(param) || params.indexOf(param) !== i) {
+                report('error', at, opToken.column, `invalid or repeated macro parameter '${param}'`);
+                defining.valid = false;
+            }
+        });
+    };
+
+    // Pushes the body of a macro call, with its arguments substituted.
+    const expandMacro = (macro, operandTokens, opToken, at) => {
+        if (operandTokens.length !== macro.params.length) {
+            report('error', at, opToken.column, `macro ${macro.name} expects ${macro.params.length} argument${macro.params.length === 1 ? '' : 's'}, got ${operandTokens.length}`);
+            return;
+        }
+        let depth = 0;
+        for (let call = at.expansion; call; call = call.parent) depth++;
+        if (depth >= MAX_MACRO_DEPTH) {
+            report('error', at, opToken.column, `macro calls nested more than ${MAX_MACRO_DEPTH} deep`);
+            return;
+        }
+        const n = ++expansionCount;
+        const args = operandTokens.map(t => t.text);
+        const items = macro.body.map(item => ({ ...item, text: substituteMacroLine(item.text, macro.params, args, n) }));
+        sources.push({ items, next: 0, file: at.file, expansion: { name: macro.name, at, parent: at.expansion } });
+    };
+
+    while (sources.length > 0) {
+        const source = sources[sources.length - 1];
+        if (source.next >= source.items.length) {
+            sources.pop();
+            continue;
+        }
+        const item = source.items[source.next++];
+        const at = { file: item.file, line: item.line, seq: lines.length, expansion: source.expansion };
+        lines.push({ file: item.file, line: item.line, text: item.text, macro: source.expansion ? source.expansion.name : null });
+        if (placement.has(at.seq)) location = placement.get(at.seq);
+
+        const { label, tokens, successor, code } = tokenizeLine(item.text);
+        const op = tokens.length > 0 ? tokens[0].text.toUpperCase() : null;
+        const [opToken, ...operandTokens] = tokens;
+
+        if (defining) {
+            if (op === '.ENDM') {
+                if (defining.valid) macros[defining.name] = defining;
+                defining = null;
+            } else if (op === '.MACRO') {
+                report('error', at, opToken.column, `.MACRO inside the definition of ${defining.name}`);
+            } else {
+                defining.body.push(item);
+            }
+            continue;
+        }
+        if (CONDITIONALS.has(op)) {
+            conditional(op, operandTokens, opToken, at);
+            continue;
+        }
+        if (!conditions.every(c => c.active)) continue;
+
+        if (label) {
+            if (dataLocation !== null) {
+                report('error', at, label.column, `labels cannot mark data memory; use .EQU for data locations`);
+            } else {
+                defineSymbol(label.name, at, label.column, { kind: 'label', location });
+                log(`  Found label '${label.name}' pointing to location ${location}`);
+            }
+        }
+        if (tokens.length === 0) continue;
+
+        const statement = { at, code, opToken, operandTokens, successorToken: successor };
+        if (successor && (DIRECTIVES.has(op) || macros[op] || op.startsWith('.'))) {
+            report('error', at, successor.column, `only instructions name a successor`);
+            continue;
+        }
+        const expectOperands = (min, max, syntax) => {
+            if (operandTokens.length > max) {
+                report('error', at, operandTokens[max].column, `too many operands: ${op} takes ${max}`);
+                return false;
+            }
+            if (operandTokens.length < min) {
+                report('error', at, opToken.column, `${op} expects ${syntax}`);
+                return false;
+            }
+            return true;
+        };
+
+        if (macros[op]) {
+            expandMacro(macros[op], operandTokens, opToken, at);
+            continue;
+        }
+        if (op === '.MACRO') {
+            defineMacro(operandTokens, opToken, at);
+            continue;
+        }
+        if (op === '.ENDM') {
+            report('error', at, opToken.column, '.ENDM without .MACRO');
+            continue;
+        }
+        if (op === '.INCLUDE') {
+            include(operandTokens, opToken, at, source);
+            continue;
+        }
+        if (!DIRECTIVES.has(op)) {
+            if (!ISA.byMnemonic[op]) {
+                report('error', at, opToken.column, op.startsWith('.')
+                    ? `unknown directive '${op}'`
+                    : `unknown instruction or macro '${op}'`);
+                continue;
+            }
+            if (dataLocation !== null) {
+                report('error', at, opToken.column, `instructions cannot be placed in data memory (use .CODE)`);
+                continue;
+            }
+            if (successor && !WORD_FORMATS[wordFormat].successor) {
+                report('error', at, successor.column, `'->' needs the successor word format (.FORMAT SUCCESSOR)`);
+                continue;
+            }
+            place({ ...statement, kind: 'instruction', instruction: ISA.byMnemonic[op] }, 1);
+            continue;
+        }
+
+        switch (op) {
+            case '.ORG': {
+                if (!expectOperands(1, 1, 'an address')) break;
+                let address = evaluateNow(operandTokens[0], at);
+                if (address === null) break;
+                address = Number(address);
+                if (address < 0 || address >= numWords) {
+                    report('error', at, operandTokens[0].column, `.ORG ${address} is outside main memory (${numWords} words)`);
+                    break;
+                }
+                hasOrg = true;
+                dataLocation = null;
+                // A placement decides every program address itself.
+                if (placement.size === 0) location = address;
+                break;
+            }
+            case '.CODE':
+                if (!expectOperands(0, 0, '')) break;
+                dataLocation = null;
+                break;
+            case '.FORMAT': {
+                if (!expectOperands(1, 1, `a word format (${Object.keys(WORD_FORMATS).join(' or ')})`)) break;
+                const name = operandTokens[0].text.toLowerCase();
+                if (!WORD_FORMATS[name]) {
+                    report('error', at, operandTokens[0].column, `unknown word format '${operandTokens[0].text}' (expected ${Object.keys(WORD_FORMATS).join(' or ')})`);
+                } else if (programUsedBy.size > 0 && name !== wordFormat) {
+                    report('error', at, opToken.column, `.FORMAT must come before the first program word`);
+                } else {
+                    try {
+                        operandFormats(name, geometry); // throws if the format's fields do not fit
+                        wordFormat = name;
+                    } catch (error) {
+                        report('error', at, operandTokens[0].column, error.message);
+                    }
+                }
+                break;
+            }
+            case '.DATA': {
+                if (!expectOperands(2, 2, '2 operands (bank, word)')) break;
+                let bank = evaluateNow(operandTokens[0], at);
+                let word = evaluateNow(operandTokens[1], at);
+                if (bank === null || word === null) break;
+                [bank, word] = [Number(bank), Number(word)];
+                if (bank < 0 || bank >= numBanks) {
+                    report('error', at, operandTokens[0].column, `bank ${bank} does not exist (${numBanks} banks)`);
+                } else if (word < 0 || word >= wordsPerBank) {
+                    report('error', at, operandTokens[1].column, `word ${word} does not exist (${wordsPerBank} words per bank)`);
+                } else {
+                    dataLocation = bank * wordsPerBank + word;
+                }
+                break;
+            }
+            case '.EQU': {
+                if (!expectOperands(2, 2, '2 operands (name, value)')) break;
+                const value = evaluateNow(operandTokens[1], at);
+                if (value === null) break;
+                defineSymbol(operandTokens[0].text.toUpperCase(), at, operandTokens[0].column, { kind: 'constant', value });
+                break;
+            }
+            case '.WORD':
+                if (!expectOperands(1, Infinity, 'at least 1 value')) break;
+                place({ ...statement, kind: 'word' }, operandTokens.length);
+                break;
+            case '.SPACE': {
+                if (!expectOperands(1, 1, 'a word count')) break;
+                let count = evaluateNow(operandTokens[0], at);
+                if (count === null) break;
+                count = Number(count);
+                if (count < 0) {
+                    report('error', at, operandTokens[0].column, `.SPACE needs a word count of 0 or more, got ${count}`);
+                    break;
+                }
+                place({ ...statement, kind: 'space' }, count);
+                break;
+            }
+        }
+    }
+    if (defining) {
+        report('error', defining.at, 1, `.MACRO ${defining.name} has no .ENDM`);
+    }
+    for (const open of conditions) {
+        report('error', open.at, 1, '.IF has no .ENDIF');
+    }
+
+    // Without .ORG the program sits at the end of memory, as it always has.
+    // place() has kept every word inside main memory.
+    let lowest = Infinity;
+    let highest = -1;
+    for (const location of programUsedBy.keys()) {
+        lowest = Math.min(lowest, location);
+        highest = Math.max(highest, location);
+    }
+    const origin = hasOrg ? 0 : numWords - programUsedBy.size;
+    const programBaseAddress = programUsedBy.size > 0 ? origin + lowest : origin;
+    const programEnd = origin + highest + 1;
+
+    const labelMap = {};
+    for (const [name, symbol] of Object.entries(symbols)) {
+        if (symbol.kind !== 'label') continue;
+        symbol.address = origin + symbol.location;
+        symbol.value = BigInt(symbol.address);
+        symbol.offset = symbol.address - programBaseAddress;
+        labelMap[name] = symbol.offset;
+        delete symbol.location;
+        if (!programUsedBy.has(symbol.address - origin)) {
+            report('warning', symbol.at, symbol.column, `label '${name}' marks no word of the program`);
+        }
+    }
+    const firstInstruction = statements.find(s => s.kind === 'instruction');
+    const entry = firstInstruction ? origin + firstInstruction.location : programBaseAddress;
+    log(`--- Label Map Complete --- ${JSON.stringify(labelMap)}`);
+    log(`Program has ${programUsedBy.size} words. Base address: ${programBaseAddress}, entry: ${entry}`);
+
+    // --- PASS 2: Build the words ---
+    // Evaluates an operand expression; `labelAs` is what a label stands for:
+    // 'address', 'offset' or null when labels are not allowed. `namedLabel`
+    // records whether an expression since it was last cleared used a label.
+    let namedLabel = false;
+    const resolve = (token, at, op, labelAs) => evaluateOperand(token, at, (name, offset) => {
+        const symbol = symbols[name];
+        if (!symbol && name in machineConstants) {
+            return BigInt(machineConstants[name]);
+        }
+        if (!symbol) {
+            throw new ExpressionError(`undefined label '${name}'`, offset);
+        }
+        if (symbol.kind === 'constant') {
+            return symbol.value;
+        }
+        namedLabel = true;
+        if (!labelAs) {
+            throw new ExpressionError(`${op} does not take a label operand`, offset);
+        }
+        if (labelAs === 'offset') {
+            if (symbol.offset < 0) {
+                throw new ExpressionError(`label '${name}' lies below the program's base address ${programBaseAddress}`, offset);
+            }
+            return BigInt(symbol.offset);
+        }
+        return BigInt(symbol.address);
+    });
+
+    // Checks that a value fits an operand field, reporting it if not.
+    const fits = (value, field, token, at) => {
+        const width = BigInt(field.width);
+        const min = field.signed ? -(1n << (width - 1n)) : 0n;
+        const max = field.signed ? (1n << (width - 1n)) - 1n : (1n << width) - 1n;
+        if (value >= min && value <= max) return true;
+        report('error', at, token.column, `${value} does not fit in the ${field.width}-bit ${field.name} field (${min} to ${max})`);
+        return false;
+    };
+
+    // In the successor format an instruction without `->` hands over to the
+    // next instruction in source order; the last one to the word after it.
+    const successorField = wordFormatLayout(wordFormat, geometry).successor;
+    const nextInstruction = new Map();
+    let following = null;
+    for (let i = statements.length - 1; i >= 0; i--) {
+        if (statements[i].kind !== 'instruction') continue;
+        const address = origin + statements[i].location;
+        nextInstruction.set(statements[i], following !== null ? following : (address + 1) % numWords);
+        following = address;
+    }
+
+    const formats = operandFormats(wordFormat, geometry);
+    const wordLimit = 1n << BigInt(geometry.wordSize);
+    const words = new Array(programEnd - programBaseAddress).fill(0n);
+    const data = [];
+    for (const statement of statements) {
+        const { at, opToken, operandTokens } = statement;
+        const op = opToken.text.toUpperCase();
+        let values;
+
+        if (statement.kind === 'instruction') {
+            const { instruction } = statement;
+            const format = formats[instruction.format];
+            const expected = format.fields.length;
+            const required = format.fields.filter(field => !field.optional).length;
+            if (operandTokens.length > expected) {
+                report('error', at, operandTokens[expected].column, `too many operands: ${op} takes ${expected}`);
+                continue;
+            }
+            if (operandTokens.length < required) {
+                report('error', at, opToken.column, `${op} expects ${required} operand${required === 1 ? '' : 's'} (${format.syntax})`);
+                continue;
+            }
+            // Each operand field is an expression of numbers, constants and,
+            // where the format allows them, labels; an index field names an
+            // index register.
+            namedLabel = false;
+            const fields = operandTokens.map((token, i) => {
+                if (format.fields[i].name === 'index') {
+                    try {
+                        return BigInt(parseIndexRegister(token.text, geometry));
+                    } catch (error) {
+                        report('error', at, token.column, error.message);
+                        return null;
+                    }
+                }
+                const value = resolve(token, at, op, format.label);
+                return value !== null && fits(value, format.fields[i], token, at) ? value : null;
+            });
+            if (fields.includes(null)) continue;
+            statement.labelled = namedLabel;
+            let successor = null;
+            if (successorField) {
+                const token = statement.successorToken;
+                successor = token ? resolve(token, at, op, 'address') : BigInt(nextInstruction.get(statement));
+                if (successor === null || !fits(successor, { ...successorField, name: 'next' }, token, at)) continue;
+            }
+            values = [encode(instruction, fields, { wordFormat, successor: Number(successor), geometry })];
+        } else if (statement.kind === 'word') {
+            values = operandTokens.map(token => {
+                const value = resolve(token, at, op, 'address');
+                if (value === null) return null;
+                if (value < -(wordLimit >> 1n) || value >= wordLimit) {
+                    report('error', at, token.column, `${value} does not fit in a ${geometry.wordSize}-bit word`);
+                    return null;
+                }
+                return BigInt.asUintN(geometry.wordSize, value);
+            });
+            if (values.includes(null)) continue;
+        } else {
+            values = null; // .SPACE: the words stay zero
+        }
+
+        if (statement.memory === 'program') {
+            statement.address = origin + statement.location;
+            if (values) {
+                values.forEach((value, i) => { words[statement.address - programBaseAddress + i] = value; });
+            }
+        } else {
+            statement.bank = Math.floor(statement.location / wordsPerBank);
+            statement.word = statement.location % wordsPerBank;
+            for (let i = 0; i < statement.count; i++) {
+                const linear = statement.location + i;
+                data.push({
+                    bank: Math.floor(linear / wordsPerBank),
+                    word: linear % wordsPerBank,
+                    value: values ? values[i] : 0n,
+                    file: at.file,
+                    line: at.line,
+                });
+            }
+        }
+        statement.values = values;
+        delete statement.location;
+    }
+
+    diagnostics.sort((a, b) => a.seq - b.seq || a.column - b.column);
+    diagnostics.forEach(d => delete d.seq);
+    if (diagnostics.some(d => d.severity === 'error')) {
+        throw new AssemblyError(diagnostics);
+    }
+    Object.values(symbols).forEach(symbol => delete symbol.at);
+
+    return {
+        words,
+        baseAddress: programBaseAddress,
+        entry,
+        data,
+        lines,
+        statements: statements.map(({ at, kind, memory, address, bank, word, count, values, labelled }) =>
+            ({ index: at.seq, file: at.file, line: at.line, kind, memory, address, bank, word, count, values, labelled })),
+        labels: labelMap,
+        symbols,
+        wordFormat,
+        geometry,
+        file,
+        warnings: diagnostics,
+    };
+}
+
+// --- LISTING ---
+/**
+ * Formats an assembled image as a listing: every source line, with the address
+ * and contents (binary, octal and hex) of each word it placed, followed by the
+ * symbol table. Data memory words are addressed as `bank,word`; reserved words
+ * show their first address only. Lines from macro expansions are marked with
+ * `+` after the line number, and a note marks each switch between files.
+ * @param {object} image Output of `assemble()`.
+ * @returns {string}
+ */
+function formatListing(image) {
+    const geometry = image.geometry || DEFAULT_GEOMETRY;
+    const wordSize = geometry.wordSize;
+    const octalDigits = Math.ceil(wordSize / 3);
+    const hexDigits = Math.ceil(wordSize / 4);
+    const blank = ' '.repeat(wordSize + octalDigits + hexDigits + 4);
+
+    const byLine = new Map();
+    for (const statement of image.statements) {
+        if (!byLine.has(statement.index)) byLine.set(statement.index, []);
+        byLine.get(statement.index).push(statement);
+    }
+    // Data words run on into the next bank.
+    const formatAddress = (statement, i) => {
+        if (statement.memory === 'program') return String(statement.address + i);
+        const linear = statement.bank * geometry.wordsPerBank + statement.word + i;
+        return `${Math.floor(linear / geometry.wordsPerBank)},${linear % geometry.wordsPerBank}`;
+    };
+
+    const out = [];
+    const wordFormat = image.wordFormat && image.wordFormat !== 'sequential' ? ` (${image.wordFormat} word format)` : '';
+    out.push(`Listing of ${image.file}${wordFormat}`);
+    if (!sameGeometry(geometry, DEFAULT_GEOMETRY)) {
+        out.push(`Machine: ${describeGeometry(geometry)}`);
+    }
+    out.push('');
+    out.push(`${'Addr'.padStart(5)}  ${'Binary'.padEnd(wordSize)}  ${'Octal'.padEnd(octalDigits)}  ${'Hex'.padEnd(hexDigits)}  ${'Line'.padStart(5)}  Source`);
+    let currentFile = image.file;
+    image.lines.forEach(({ file, line, text, macro }, index) => {
+        if (!macro && file !== currentFile) {
+            out.push(`${''.padStart(5)}  ${blank}  ${''.padStart(6)} ; ---- ${file} ----`);
+            currentFile = file;
+        }
+        const rows = [];
+        for (const statement of byLine.get(index) || []) {
+            if (!statement.values) {
+                if (statement.count > 0) rows.push([formatAddress(statement, 0), blank]);
+                continue;
+            }
+            statement.values.forEach((word, j) => rows.push([formatAddress(statement, j), [
+                word.toString(2).padStart(wordSize, '0'),
+                word.toString(8).padStart(octalDigits, '0'),
+                word.toString(16).toUpperCase().padStart(hexDigits, '0'),
+            ].join('  ')]));
+        }
+        if (rows.length === 0) rows.push(['', blank]);
+        rows.forEach(([address, contents], j) => {
+            const source = j === 0 ? `${String(line).padStart(5)}${macro ? '+' : ' '} ${text}` : '';
+            out.push(`${address.padStart(5)}  ${contents}  ${source}`.trimEnd());
+        });
+    });
+
+    out.push('');
+    out.push('Symbol table:');
+    const names = Object.keys(image.symbols).sort();
+    if (names.length === 0) {
+        out.push('  (none)');
+    }
+    for (const name of names) {
+        const symbol = image.symbols[name];
+        const where = symbol.file === image.file ? `line ${symbol.line}` : `${symbol.file}:${symbol.line}`;
+        out.push(symbol.kind === 'label'
+            ? `  ${name.padEnd(20)} address ${String(symbol.address).padStart(5)}  offset ${String(symbol.offset).padStart(5)}  ${where}`
+            : `  ${name.padEnd(20)} value   ${String(symbol.value).padStart(5)}  ${''.padStart(12)}  ${where}`);
+    }
+    return out.join('\n') + '\n';
+}
+
+module.exports = {
+    DEFAULT_MEMORY_WORDS,
+    DEFAULT_DATA_BANKS,
+    DEFAULT_WORDS_PER_BANK,
+    AssemblyError,
+    formatDiagnostic,
+    assemble,
+    formatListing,
+};
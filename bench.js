@@ -0,0 +1,138 @@
+/**
+ * bench.js
+ *
+ * Compares the circular-buffer DelayLineMemory in cpu2m3.js with the original
+ * implementation, which shifted the whole line on every tick and could only
+ * wait for alignment by ticking one bit at a time (its `rotate()` does just
+ * that). Each sample program is run on both, the final machine states are
+ * checked to be identical, and the wall-clock times are reported.
+ *
+ * To run:
+ *   node bench.js [file.asm ...]
+ * Without arguments the built-in sample program and examples/*.asm are used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DelayLineMemory, SAMPLE_PROGRAM, runSimulation } = require('./cpu2m3');
+const { toJsonLine } = require('./trace');
+const { Teleprinter } = require('./teleprinter');
+
+// --- REFERENCE IMPLEMENTATION ---
+// The original array-shifting delay line: O(size) work per tick.
+class ShiftingDelayLineMemory {
+    constructor(size) {
+        this.size = size;
+        this.enableRefresh = true;
+        this._memory = new Array(this.size).fill(0);
+        this._nextBitToWrite = null;
+    }
+
+    tick() {
+        const bitLeavingTheLine = this._memory[0];
+        let bitEnteringTheLine;
+
+        if (this._nextBitToWrite !== null) {
+            bitEnteringTheLine = this._nextBitToWrite;
+            this._nextBitToWrite = null;
+        } else if (this.enableRefresh) {
+            bitEnteringTheLine = bitLeavingTheLine;
+        } else {
+            bitEnteringTheLine = 0;
+        }
+
+        for (let i = 0; i < this.size - 1; i++) {
+            this._memory[i] = this._memory[i + 1];
+        }
+        this._memory[this.size - 1] = bitEnteringTheLine;
+        return bitLeavingTheLine;
+    }
+
+    rotate(n) {
+        for (let i = 0; i < n; i++) {
+            this.tick();
+        }
+    }
+
+    write(bit) {
+        if (bit !== 0 && bit !== 1) return;
+        this._nextBitToWrite = bit;
+    }
+
+    peek(offset) {
+        return this._memory[offset];
+    }
+
+    peekReadHead() {
+        return this._memory[0];
+    }
+
+    peekWriteHead() {
+        return this._memory[this.size - 1];
+    }
+
+    peekRange(start, length) {
+        return this._memory.slice(start, start + length);
+    }
+
+    getMemoryState() {
+        return [...this._memory];
+    }
+
+    pokeRange(start, bits) {
+        bits.forEach((bit, i) => { this._memory[start + i] = bit; });
+    }
+
+    clear() {
+        this._memory.fill(0);
+        this._nextBitToWrite = null;
+    }
+}
+
+// --- BENCHMARK ---
+function loadPrograms(files) {
+    if (files.length === 0) {
+        const examples = path.join(__dirname, 'examples');
+        files = fs.readdirSync(examples).filter(f => f.endsWith('.asm')).map(f => path.join(examples, f));
+        return [{ name: 'SAMPLE_PROGRAM', source: SAMPLE_PROGRAM }]
+            .concat(files.map(f => ({ name: path.relative(__dirname, f), file: f, source: fs.readFileSync(f, 'utf8') })));
+    }
+    return files.map(f => ({ name: f, file: f, source: fs.readFileSync(f, 'utf8') }));
+}
+
+function timeRun({ source, file }, lineClass) {
+    const start = process.hrtime.bigint();
+    const result = runSimulation(source, {
+        file,
+        traceLevel: 'none',
+        teleprinter: new Teleprinter(),
+        cycleLimit: 100000,
+        lineClass,
+    });
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+    return { result, elapsedMs };
+}
+
+function main(files) {
+    console.log('Program                        Ticks   Shifting (ms)   Circular (ms)   Speed-up   Same state');
+    for (const program of loadPrograms(files)) {
+        const shifting = timeRun(program, ShiftingDelayLineMemory);
+        const circular = timeRun(program, DelayLineMemory);
+        const same = toJsonLine(shifting.result) === toJsonLine(circular.result);
+        console.log(
+            program.name.padEnd(28) +
+            String(circular.result.totalTicks).padStart(9) +
+            shifting.elapsedMs.toFixed(1).padStart(16) +
+            circular.elapsedMs.toFixed(1).padStart(16) +
+            `${(shifting.elapsedMs / circular.elapsedMs).toFixed(0)}x`.padStart(11) +
+            (same ? 'yes' : 'NO').padStart(13)
+        );
+        if (!same) process.exitCode = 1;
+    }
+}
+
+module.exports = { ShiftingDelayLineMemory };
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
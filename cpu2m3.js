@@ -1,5 +1,5 @@
 /**
- * run_cpu.js
+ * cpu2m3.js
  *
  * This version incorporates the user-added STC (Store and Clear) instruction
  * and implements a JMP (unconditional jump) instruction, similar to an
@@ -7,27 +7,85 @@
  *
  * This version FIXES the PC/memory alignment bug.
  *
- * To run:
- * 1. Save this code as `run_cpu.js`.
- * 2. Run from your terminal: `node run_cpu.js`
+ * The machine is also a library: `require('./cpu2m3')` gives the memories,
+ * the CPU, the assembler and `runSimulation()`, which returns a structured result.
+ *
+ * To run the sample program:
+ *   node cpu2m3.js
  */
 
-const WORD_SIZE = 40;
-const MEMORY_SIZE = WORD_SIZE * 256;
-const NUM_DATA_BANKS = 16;
-const WORDS_PER_BANK = 16;
+const EventEmitter = require('events');
+const { TRACE_LEVELS, EVENT_LEVELS, attachConsoleTrace } = require('./trace');
+const { ISA, operandFormats, decode, disassemble } = require('./isa');
+const { AssemblyError, assemble, formatDiagnostic, formatListing } = require('./assembler');
+const { labelAddresses, labelIndex } = require('./disasm');
+const { DEFAULT_GEOMETRY, makeGeometry, sameGeometry, describeGeometry } = require('./geometry');
+const { ROW_BITS } = require('./tape');
+const { Teleprinter, formatNumber } = require('./teleprinter');
+const { ErrorCode } = require('./ecc');
+
+// The sizes of the default machine; createMachine() takes others as a geometry.
+const WORD_SIZE = DEFAULT_GEOMETRY.wordSize;
+const MEMORY_SIZE = WORD_SIZE * DEFAULT_GEOMETRY.memoryWords;
+const PROGRAM_TANKS = 1; // main memory is one long line unless a machine asks for more
+const NUM_DATA_BANKS = DEFAULT_GEOMETRY.dataBanks;
+const WORDS_PER_BANK = DEFAULT_GEOMETRY.wordsPerBank;
+
+// --- INSTRUCTION SET ---
+// Mnemonic to opcode, derived from the ISA table in isa.js.
+const OPCODES = {};
+for (const { mnemonic, opcode } of ISA.instructions) {
+    OPCODES[mnemonic] = opcode;
+}
+
+// The number format each print instruction uses.
+const PRINT_FORMATS = { PRA: 'decimal', PRH: 'hex', PRO: 'octal', PRB: 'binary', PRF: 'fraction' };
+
+// --- WORD HELPERS ---
+// Program memory words circulate most significant bit first.
+function bitsToWord(bits) {
+    return bits.reduce((acc, bit) => (acc << 1n) | BigInt(bit), 0n);
+}
+
+// Registers and data banks hold numbers least significant bit first.
+function registerValue(bits) {
+    return bits.reduce((acc, bit, i) => acc | (BigInt(bit) << BigInt(i)), 0n);
+}
+
+// The bits of a number least significant first, as registers and data banks hold it.
+function valueBits(value, wordSize = WORD_SIZE) {
+    const bits = [];
+    for (let i = 0n; i < BigInt(wordSize); i++) bits.push(Number((value >> i) & 1n));
+    return bits;
+}
+
+// Interprets a `wordSize`-bit value as two's complement.
+function toSigned(value, wordSize = WORD_SIZE) {
+    const signBit = (value >> BigInt(wordSize - 1)) & 1n;
+    return signBit === 1n ? -((~value & ((1n << BigInt(wordSize)) - 1n)) + 1n) : value;
+}
 
 // --- DELAY-LINE MEMORY LIBRARY ---
+/**
+ * A delay line held in a circular buffer. Instead of shifting every bit on each
+ * tick, the buffer stays put and `_head` moves: the bit at `_head` is at the read
+ * head, and the slot it leaves becomes the write head. A tick therefore costs
+ * O(1) however long the line is.
+ *
+ * Logical position `i` (0 = read head, size - 1 = write head) lives at
+ * `_bits[(_head + i) % size]`.
+ */
 class DelayLineMemory {
     constructor(size) {
         this.size = size;
         this.enableRefresh = true;
-        this._memory = new Array(this.size).fill(0);
+        this._bits = new Uint8Array(this.size);
+        this._head = 0;
         this._nextBitToWrite = null;
     }
 
     tick() {
-        const bitLeavingTheLine = this._memory[0];
+        const bitLeavingTheLine = this._bits[this._head];
         let bitEnteringTheLine;
 
         if (this._nextBitToWrite !== null) {
@@ -39,365 +97,850 @@ class DelayLineMemory {
             bitEnteringTheLine = 0;
         }
 
-        for (let i = 0; i < this.size - 1; i++) {
-            this._memory[i] = this._memory[i + 1];
-        }
-        this._memory[this.size - 1] = bitEnteringTheLine;
+        this._bits[this._head] = bitEnteringTheLine;
+        this._head++;
+        if (this._head === this.size) this._head = 0;
         return bitLeavingTheLine;
     }
 
+    /**
+     * Advances the line by `n` ticks in one go, as if `tick()` had been called
+     * `n` times with nothing further written. A pending write still goes in on
+     * the first tick; after that the line either refreshes (a pure rotation) or,
+     * with refresh off, loses the bits that pass the read head.
+     */
+    rotate(n) {
+        if (n <= 0) return;
+        if (this._nextBitToWrite !== null) {
+            this.tick();
+            n--;
+        }
+        if (!this.enableRefresh) {
+            if (n >= this.size) {
+                this._bits.fill(0);
+            } else if (this._head + n <= this.size) {
+                this._bits.fill(0, this._head, this._head + n);
+            } else {
+                this._bits.fill(0, this._head);
+                this._bits.fill(0, 0, this._head + n - this.size);
+            }
+        }
+        this._head = (this._head + n) % this.size;
+    }
+
     write(bit) {
         if (bit !== 0 && bit !== 1) return;
         this._nextBitToWrite = bit;
     }
+
+    // The bit `offset` positions behind the read head.
+    peek(offset) {
+        return this._bits[(this._head + offset) % this.size];
+    }
+
+    peekReadHead() {
+        return this._bits[this._head];
+    }
+
+    peekWriteHead() {
+        return this.peek(this.size - 1);
+    }
+
+    // `length` bits starting `start` positions behind the read head.
+    peekRange(start, length) {
+        const bits = new Array(length);
+        for (let i = 0; i < length; i++) {
+            bits[i] = this.peek(start + i);
+        }
+        return bits;
+    }
+
+    // The whole line, read head first.
+    getMemoryState() {
+        return this.peekRange(0, this.size);
+    }
+
+    // Overwrites bits starting `start` positions behind the read head, outside
+    // simulated time (no ticks pass). Used by the debugger's deposit command.
+    pokeRange(start, bits) {
+        bits.forEach((bit, i) => {
+            this._bits[(this._head + start + i) % this.size] = bit;
+        });
+    }
     
     clear() {
-        this._memory.fill(0);
+        this._bits.fill(0);
+        this._head = 0;
         this._nextBitToWrite = null;
     }
 }
 
 // --- MEMORY SYSTEM ---
 class MemorySystem {
-    constructor(numBanks, wordsPerBank, wordSize) {
+    constructor(numBanks, wordsPerBank, wordSize, lineClass = DelayLineMemory) {
         this.banks = [];
         this.numBanks = numBanks;
         this.wordsPerBank = wordsPerBank;
         this.wordSize = wordSize;
         const bankSize = wordsPerBank * wordSize;
         for (let i = 0; i < numBanks; i++) {
-            this.banks.push(new DelayLineMemory(bankSize));
+            this.banks.push(new lineClass(bankSize));
         }
     }
+
+    // Bits held by all the banks together.
+    get size() {
+        return this.numBanks * this.wordsPerBank * this.wordSize;
+    }
+
+    // Circulates every bank by `n` ticks, in lockstep.
+    rotate(n) {
+        for (const bank of this.banks) bank.rotate(n);
+    }
+
+    clear() {
+        for (const bank of this.banks) bank.clear();
+    }
 }
 
 // --- SIMPLE CPU SIMULATOR ---
-class SimpleCPU {
-    constructor(memory,dataMemory) {
+/**
+ * The CPU reports what it does as events rather than printing. Every event is
+ * emitted under its own name and again as 'trace', with a record of the form
+ * `{ event, tick, pc, ...details }`. Events above the CPU's `traceLevel` are not
+ * emitted at all (see EVENT_LEVELS); attach `trace.js` writers to display them.
+ */
+class SimpleCPU extends EventEmitter {
+    /**
+     * @param {MemorySystem} memory Main (program) memory: its banks are the
+     *        program tanks, which circulate in lockstep. Address `a` is word
+     *        `a % wordsPerBank` of tank `floor(a / wordsPerBank)`.
+     * @param {MemorySystem} dataMemory Banked data memory.
+     * @param {object} [options={}]
+     * @param {string} [options.traceLevel='bit'] One of 'none', 'instr' or 'bit'.
+     * @param {function(bigint, SimpleCPU)} [options.output] Receives every value printed
+     *        by PRA or a variant, as a signed number.
+     * @param {Teleprinter} [options.teleprinter] Where printed text goes (see
+     *        teleprinter.js); by default an ASCII teleprinter writing to stdout.
+     * @param {Function} [options.lineClass=DelayLineMemory] Delay-line implementation for the registers.
+     * @param {string} [options.wordFormat='sequential'] The instruction word format (see
+     *        WORD_FORMATS in isa.js); `loadProgram()` takes it from the program.
+     * @param {object} [options.geometry=DEFAULT_GEOMETRY] Word length and instruction
+     *        layout (see geometry.js); the memories must be built to match it.
+     * @param {PaperTapeReader} [options.tape] The tape in the reader (see tape.js);
+     *        without one the reader is empty.
+     * @param {string} [options.ecc='none'] Check bits kept with every word of
+     *        main and data memory: 'none', 'parity' or 'secded' (see ecc.js).
+     * @param {PhysicalModel} [options.physical] Gives the lines a medium, length
+     *        and pulse rate (see physical.js); their margins are checked before
+     *        every instruction.
+     */
+    constructor(memory, dataMemory, options = {}) {
+        super();
         this.memory = memory;
         this.dataMemory = dataMemory;
-        this.regA = new DelayLineMemory(WORD_SIZE);
-        this.regB = new DelayLineMemory(WORD_SIZE);
-        this.regS = new DelayLineMemory(WORD_SIZE); // scratch register #1
-        this.regT = new DelayLineMemory(WORD_SIZE); // scratch register #2
-
-        this.OPCODES = {
-            'NOP': 0b00000000, // No Operation
-            'LAI': 0b00000001, // Load Immediate Value to Reg A
-            'LBI': 0b00000010, // Load Immediate Value to Reg B 
-            'ADD': 0b00000011, // Add Reg A and Reg B, store result in Reg A
-            'PRA': 0b00000100, // Print Register A (output to console)
-            'NEG': 0b00000101, // Negate Reg A (Two's Complement)
-            'STO': 0b00000110, // Store Reg A to Data Memory
-            'LDA': 0b00000111, // Load Data Memory to Reg A
-            'SHL': 0b00001000, // Shift Left (write 0 to Reg A, shift bits left)
-            'SHR': 0b00001001, // Shift Right (write 0 to Reg A, shift bits right)
-            'RND': 0b00001010, // Round Reg A, clear N least significant bits
-            'MLA': 0b00001011, // Multiply and Add (A = A + B, loop N times)
-            'STC': 0b00010000, // Store Reg A to Data Memory and clear Reg A
-            'JMP': 0b00010001, // Jump to a relative address (PC = PC + operand)
-            'JMPA': 0b00011011, // Jump to an absolute address (PC = operand)
-            'JZA': 0b00010010, // Jump if Reg A is Zero (PC = PC + operand)
-            'JNA': 0b00010011, // Jump if Reg A is Negative (MSB=1) (PC = PC + operand)
-            'COL': 0b00010100, // Collate (AND-and-add)
-            'STB': 0b00010101, // Store Reg B to Data Memory
-            'LDB': 0b00010110, // Load Data Memory to Reg B
-            'LDP': 0b00010111, // Load Program Memory to Reg A
-            'STP': 0b00011000, // Store Reg A to Program Memory
-            'LEA': 0b00011001, // Load Immediate in the address part of Reg A
-            'LEB': 0b00011010, // Load Immediate in the address part of Reg B
-            'AND': 0b00011011, // Reg A AND Reg B and Store in Reg A
-            'ORR': 0b00011100, // Reg A OR Reg B and Store in Reg A
-            'XOR': 0b00011101, // Reg A XOR Reg B and Store in Reg A
-            'MUL': 0b00011111, // Multiply A by B and store in A
-            'HLT': 0b00001111, // Halt the CPU
-        };
+        this.geometry = makeGeometry(options.geometry);
+        this.wordSize = this.geometry.wordSize;
+        this.traceLevel = options.traceLevel !== undefined ? options.traceLevel : 'bit';
+        this.wordFormat = options.wordFormat || 'sequential';
+        this.output = options.output || (() => {});
+        this.teleprinter = options.teleprinter || new Teleprinter({ sink: text => process.stdout.write(text) });
+        this.tape = options.tape || null;
+        const lineClass = options.lineClass || DelayLineMemory;
+        this.regA = new lineClass(this.wordSize);
+        this.regB = new lineClass(this.wordSize);
+        this.regS = new lineClass(this.wordSize); // scratch register #1
+        this.regT = new lineClass(this.wordSize); // scratch register #2
+        // Index registers (B-lines) X1, X2, ...: one word each, added to the
+        // address of an indexed memory reference when it executes.
+        this.indexRegisters = [];
+        for (let number = 1; number <= this.geometry.indexRegisters; number++) {
+            this['regX' + number] = new lineClass(this.wordSize);
+            this.indexRegisters.push('X' + number);
+        }
+        this.registerNames = ['A', 'B', 'S', 'T', ...this.indexRegisters];
+        // The CALL/RET return stack: one line of `returnStackDepth` words,
+        // entries least significant bit first, the top below the pointer.
+        this.returnStack = new lineClass(this.geometry.returnStackDepth * this.wordSize);
+        this.ecc = options.ecc && options.ecc !== 'none' ? new ErrorCode(options.ecc, this.wordSize) : null;
+        this.physical = options.physical || null;
+
+        this.OPCODES = OPCODES;
 
-        this.dataMemoryClocks = new Array(this.dataMemory.numBanks).fill(0);
         this.reset();
     }
 
     reset() {
         this.pc = 0;
         this.baseAddress = 0; // *** CHANGED: Added base address property
-        this.memoryClock = 0;
+        this.entry = 0;
+        this.labels = new Map(); // address -> label name, for disassembly
+        this.returnStackPointer = 0; // entries on the stack
         this.totalTicks = 0;
         this.ir = 0;
         this.state = 'RUNNING';
+        this.haltReason = null;
+        this.outputs = [];
+        this.teleprinter.clear();
         this.jumped = false;
-        this.memory.clear();
-        this.regA.clear();
-        this.regB.clear();
-        this.regS.clear();
-        this.regT.clear();
+        this.checkWords = new Map(); // line -> the check bits of each of its words
+        this.correctedErrors = 0;
+        // Every line starts again with word 0 under its read head.
+        this.lineClocks = new Map();
+        for (const line of this.lines()) {
+            line.clear();
+            this.lineClocks.set(line, 0);
+        }
+    }
+
+    // Every delay line in the machine: the program tanks, the data banks,
+    // the registers and the return stack.
+    lines() {
+        return [
+            ...this.memory.banks,
+            ...this.dataMemory.banks,
+            ...this.registerNames.map(name => this['reg' + name]),
+            this.returnStack,
+        ];
+    }
+
+    // --- THE MACHINE CLOCK ---
+    // `totalTicks` is the machine's one clock, and every line circulates one
+    // bit on every tick of it, so the word under a line's read head follows
+    // from the time alone. Every operation takes whole word times, so a
+    // register always has its least significant bit under the head between
+    // operations. A line the CPU is not using is not ticked bit by bit: it is
+    // turned by the ticks it missed when it is next used, which leaves it
+    // exactly where ticking it all along would have.
+
+    // Turns a line by the ticks it has missed; returns the line. Whole
+    // revolutions are skipped, except on a line that keeps time itself
+    // (such as the faulty lines of faults.js).
+    syncLine(line) {
+        const missed = this.totalTicks - this.lineClocks.get(line);
+        if (missed > 0) line.rotate(line.keepsTime ? missed : missed % line.size);
+        this.lineClocks.set(line, this.totalTicks);
+        return line;
+    }
+
+    // One tick of the clock, ticking the lines in use, whose heads the
+    // caller has just read and written.
+    tickLines(...lines) {
+        for (const line of lines) this.syncLine(line).tick();
+        this.totalTicks++;
+        for (const line of lines) this.lineClocks.set(line, this.totalTicks);
+    }
+
+    // The word of a `wordsPerLine`-word line under its read head.
+    wordUnderHead(wordsPerLine) {
+        return Math.floor(this.totalTicks / this.wordSize) % wordsPerLine;
     }
-    
-    step() {
-        if (this.state !== 'RUNNING') return;
-        
-        const numWords = this.memory.size / WORD_SIZE;
 
-        const targetWordPos = this.pc;
-        const wordDistance = (targetWordPos - this.memoryClock + numWords) % numWords;
-        const ticksToWait = wordDistance * WORD_SIZE;
+    // True if events of this kind are emitted at the CPU's trace level.
+    traces(event, level = EVENT_LEVELS[event]) {
+        return TRACE_LEVELS[level] <= TRACE_LEVELS[this.traceLevel];
+    }
+
+    // Emits a trace event, stamped with the current tick and PC.
+    trace(event, details = {}) {
+        if (!this.traces(event)) return;
+        const record = { event, tick: this.totalTicks, pc: this.pc, ...details };
+        this.emit(event, record);
+        this.emit('trace', record);
+    }
+
+    // Emits a free-form 'log' message at the given trace level.
+    log(level, message) {
+        if (!this.traces('log', level)) return;
+        const record = { event: 'log', tick: this.totalTicks, pc: this.pc, level, message };
+        this.emit('log', record);
+        this.emit('trace', record);
+    }
+
+    traceRegister(name) {
+        if (!this.traces('register')) return;
+        this.trace('register', { register: name, bits: this['reg' + name].getMemoryState().join('') });
+    }
+
+    /**
+     * Waits until `wordId` of a data bank is under its read head.
+     * @returns {DelayLineMemory} The bank.
+     */
+    alignDataBank(bankId, wordId) {
+        const wordsPerBank = this.dataMemory.wordsPerBank;
+        const from = this.wordUnderHead(wordsPerBank);
+        const ticks = ((wordId - from + wordsPerBank) % wordsPerBank) * this.wordSize;
+        this.trace('align-wait', { memory: 'data', bank: bankId, from, to: wordId, ticks });
+        this.totalTicks += ticks;
+        return this.syncLine(this.dataMemory.banks[bankId]);
+    }
+
+    // The program tank holding `address`, and the word's position in it.
+    programTank(address) {
+        const wordsPerTank = this.memory.wordsPerBank;
+        return { tank: Math.floor(address / wordsPerTank), position: address % wordsPerTank };
+    }
+
+    // Offset of a program word behind its tank's read head.
+    programOffset(address) {
+        const { position } = this.programTank(address);
+        const wordsPerTank = this.memory.wordsPerBank;
+        return ((position - this.wordUnderHead(wordsPerTank) + wordsPerTank) % wordsPerTank) * this.wordSize;
+    }
+
+    /**
+     * Waits until the word at `address` is under its tank's read head. The
+     * tanks turn in lockstep, so every tank is at the same word.
+     * @returns {DelayLineMemory} The selected tank.
+     */
+    alignProgramTank(address) {
+        const { tank } = this.programTank(address);
+        const from = tank * this.memory.wordsPerBank + this.wordUnderHead(this.memory.wordsPerBank);
+        const ticks = this.programOffset(address);
+        this.trace('align-wait', { memory: 'program', tank, from, to: address, ticks });
+        this.totalTicks += ticks;
+        return this.syncLine(this.memory.banks[tank]);
+    }
+
+    // --- ERROR CHECKING ---
+    // With `ecc`, every word of main and data memory has check bits, kept
+    // beside the line rather than in it and computed as the word is written.
+    // A line's words start as zeros, whose check bits are zero too.
+
+    // Records the check bits of a word written at `position` of a line.
+    recordCheck(line, position, value) {
+        if (!this.ecc) return;
+        if (!this.checkWords.has(line)) {
+            this.checkWords.set(line, new Array(line.size / this.wordSize).fill(0));
+        }
+        this.checkWords.get(line)[position] = this.ecc.encode(BigInt.asUintN(this.wordSize, value));
+    }
+
+    /**
+     * Checks a word just read from `position` of a line against its check
+     * bits. An error the code corrects is counted and traced; any other is a
+     * MACHINE_CHECK fault, which halts the CPU.
+     * @param {object} location `{ memory: 'program', address }` or
+     *        `{ memory: 'data', bank, word }`, for the trace.
+     * @returns {bigint|null} The word, corrected if need be, or null after a machine check.
+     */
+    checkWord(line, position, value, location) {
+        if (!this.ecc) return value;
+        const checks = this.checkWords.get(line);
+        const result = this.ecc.decode(value, checks ? checks[position] : 0);
+        if (result.status === 'error') {
+            this.fault('MACHINE_CHECK', { ...location, syndrome: result.syndrome });
+            return null;
+        }
+        if (result.status === 'corrected') {
+            this.correctedErrors++;
+            this.trace('error-corrected', { ...location, syndrome: result.syndrome, bit: result.bit });
+        }
+        return result.value;
+    }
+
+    // Checks the data word a load has just read into a register, correcting
+    // the register if need be; false after a machine check.
+    checkLoad(bank, bankId, wordId, register) {
+        const loaded = registerValue(this['reg' + register].getMemoryState());
+        const checked = this.checkWord(bank, wordId, loaded, { memory: 'data', bank: bankId, word: wordId });
+        if (checked === null) return false;
+        if (checked !== loaded) this.depositRegister(register, checked);
+        return true;
+    }
+
+    // A register's word as it stands, without spending ticks.
+    registerWord(name) {
+        return registerValue(this.syncLine(this['reg' + name]).getMemoryState());
+    }
+
+    // Reads index register `number` as a signed value, circulating it through
+    // one word. Register 0 means no indexing and reads as 0 at no cost.
+    readIndex(number) {
+        if (number === 0) return 0;
+        const register = this['regX' + number];
+        const bits = [];
+        for (let i = 0; i < this.wordSize; i++) {
+            bits.push(register.peekReadHead());
+            this.tickLines(register);
+        }
+        return Number(toSigned(registerValue(bits), this.wordSize));
+    }
 
-        for (let i = 0; i < ticksToWait; i++) {
-            this.memory.tick();
-            this.totalTicks++;
+    // Loads `value` into index register `number`, least significant bit first.
+    writeIndex(number, value) {
+        const register = this['regX' + number];
+        for (const bit of valueBits(value, this.wordSize)) {
+            register.write(bit);
+            this.tickLines(register);
+        }
+        this.traceRegister('X' + number);
+    }
+
+    /**
+     * The data memory location of a `bank, word[, Xn]` operand. An index
+     * register's value counts in words across bank boundaries, so X = 1 on
+     * the last word of a bank reaches the first word of the next; the
+     * address wraps around the end of data memory.
+     */
+    indexedDataAddress(fields) {
+        const wordsPerBank = this.dataMemory.wordsPerBank;
+        const bank = Number(fields.bank);
+        const word = Number(fields.word);
+        if (!fields.index) return { bank, word };
+        const size = this.dataMemory.numBanks * wordsPerBank;
+        const linear = ((bank * wordsPerBank + word + this.readIndex(Number(fields.index))) % size + size) % size;
+        return { bank: Math.floor(linear / wordsPerBank), word: linear % wordsPerBank };
+    }
+
+    // Waits until word `slot` of the return stack is under its read head.
+    alignReturnStack(slot) {
+        const depth = this.geometry.returnStackDepth;
+        const from = this.wordUnderHead(depth);
+        const ticks = ((slot - from + depth) % depth) * this.wordSize;
+        this.trace('align-wait', { memory: 'stack', from, to: slot, ticks });
+        this.totalTicks += ticks;
+        this.syncLine(this.returnStack);
+    }
+
+    // Pushes a return address, serially; false (after a fault) if the stack is full.
+    pushReturnAddress(address) {
+        const slot = this.returnStackPointer;
+        if (slot === this.geometry.returnStackDepth) {
+            this.fault('STACK_OVERFLOW', { depth: slot });
+            return false;
+        }
+        this.alignReturnStack(slot);
+        for (const bit of valueBits(BigInt(address), this.wordSize)) {
+            this.returnStack.write(bit);
+            this.tickLines(this.returnStack);
+        }
+        this.returnStackPointer++;
+        this.trace('mem-write', { memory: 'stack', slot, value: BigInt(address) });
+        return true;
+    }
+
+    // Pops a return address, serially; null (after a fault) if the stack is empty.
+    popReturnAddress() {
+        if (this.returnStackPointer === 0) {
+            this.fault('STACK_UNDERFLOW');
+            return null;
+        }
+        const slot = --this.returnStackPointer;
+        this.alignReturnStack(slot);
+        const bits = [];
+        for (let i = 0; i < this.wordSize; i++) {
+            bits.push(this.returnStack.peekReadHead());
+            this.tickLines(this.returnStack);
+        }
+        const address = registerValue(bits);
+        this.trace('mem-read', { memory: 'stack', slot, value: address });
+        return Number(address);
+    }
+
+    // Data banks hold words least significant bit first, like the registers.
+    traceDataAccess(event, bankId, wordId, register) {
+        if (!this.traces(event)) return;
+        const value = registerValue(this['reg' + register].getMemoryState());
+        this.trace(event, { memory: 'data', bank: bankId, word: wordId, register, value });
+    }
+
+    /**
+     * Reads the next number or row from the paper tape into A. The CPU waits
+     * for the tape to pass the head, to the end of a word time. Reading past
+     * the end of the tape is a machine fault.
+     * @param {boolean} row Keep only the low 5 bits, as RDC does.
+     */
+    readTape(row) {
+        const item = this.tape ? this.tape.read() : null;
+        if (!item) {
+            this.fault('END_OF_TAPE');
+            return;
+        }
+        const ticks = Math.ceil(item.ticks / this.wordSize) * this.wordSize;
+        this.totalTicks += ticks;
+        const value = row ? item.value & ((1n << BigInt(ROW_BITS)) - 1n) : item.value;
+        for (const bit of valueBits(value, this.wordSize)) {
+            this.regA.write(bit);
+            this.tickLines(this.regA);
+        }
+        this.trace('input', { device: 'tape', value, ticks });
+        this.traceRegister('A');
+    }
+
+    // Records a word printed by PRA or a variant and prints it in `format`
+    // (see NUMBER_FORMATS in teleprinter.js), one number to a line.
+    emitOutput(word, format = 'decimal') {
+        const value = toSigned(word, this.wordSize);
+        const text = formatNumber(word, format, this.wordSize);
+        this.outputs.push(value);
+        this.trace('output', { value, format, text });
+        this.output(value, this);
+        this.teleprinter.write(text + '\n');
+    }
+
+    // Reads A through one word time.
+    readA() {
+        const bits = [];
+        for (let i = 0; i < this.wordSize; i++) {
+            bits.push(this.regA.peekReadHead());
+            this.tickLines(this.regA);
+        }
+        return registerValue(bits);
+    }
+
+    // Stops the CPU on a machine fault, reporting the fault and its details.
+    fault(reason, details = {}) {
+        this.trace('fault', { fault: reason, ...details });
+        this.halt(reason);
+    }
+
+    // Stops the CPU, remembering why.
+    halt(reason) {
+        this.state = 'HALTED';
+        this.haltReason = reason;
+        this.trace('halt', { reason });
+    }
+
+    // A word as assembly text, with the labels of the loaded program.
+    disassemble(word) {
+        return disassemble(word, {
+            labelAt: address => this.labels.get(address),
+            baseAddress: this.baseAddress,
+            wordFormat: this.wordFormat,
+            geometry: this.geometry,
+        });
+    }
+
+    // Reads a program memory word by logical address without advancing the clock.
+    peekWord(address) {
+        const line = this.syncLine(this.memory.banks[this.programTank(address).tank]);
+        return bitsToWord(line.peekRange(this.programOffset(address), this.wordSize));
+    }
+
+    // Writes a program memory word by logical address without advancing the clock.
+    depositWord(address, word) {
+        const bits = [];
+        for (let i = BigInt(this.wordSize - 1); i >= 0n; i--) bits.push(Number((word >> i) & 1n));
+        const { tank, position } = this.programTank(address);
+        this.syncLine(this.memory.banks[tank]).pokeRange(this.programOffset(address), bits);
+        this.recordCheck(this.memory.banks[tank], position, word);
+    }
+
+    // Offset of a data word behind its bank's read head.
+    dataOffset(wordId) {
+        const wordsPerBank = this.dataMemory.wordsPerBank;
+        return ((wordId - this.wordUnderHead(wordsPerBank) + wordsPerBank) % wordsPerBank) * this.wordSize;
+    }
+
+    // Reads a data memory word by bank and word without advancing the clock.
+    peekDataWord(bankId, wordId) {
+        const line = this.syncLine(this.dataMemory.banks[bankId]);
+        return registerValue(line.peekRange(this.dataOffset(wordId), this.wordSize));
+    }
+
+    // Writes a data memory word by bank and word without advancing the clock.
+    depositDataWord(bankId, wordId, value) {
+        this.syncLine(this.dataMemory.banks[bankId]).pokeRange(this.dataOffset(wordId), valueBits(value, this.wordSize));
+        this.recordCheck(this.dataMemory.banks[bankId], wordId, value);
+    }
+
+    // Sets register A, B, S, T or an index register without spending ticks.
+    depositRegister(name, value) {
+        this.syncLine(this['reg' + name]).pokeRange(0, valueBits(value, this.wordSize));
+    }
+
+    /**
+     * Snapshot of the machine: registers as PRA would read them (least significant
+     * bit first) together with the raw bit strings, program memory by logical
+     * address, data memory by bank and word, the return addresses on the
+     * stack (bottom first), the word under the heads of the program tanks
+     * and of the data banks, which follows from `totalTicks`, and the memory
+     * errors corrected so far (see ecc.js).
+     */
+    getState() {
+        const registers = {};
+        for (const name of this.registerNames) {
+            const bits = this.syncLine(this['reg' + name]).getMemoryState();
+            registers[name] = { value: registerValue(bits), bits: bits.join('') };
+        }
+        const numWords = this.memory.size / this.wordSize;
+        const programMemory = [];
+        for (let address = 0; address < numWords; address++) {
+            programMemory.push(this.peekWord(address));
+        }
+        const dataMemory = this.dataMemory.banks.map((bank, bankId) => {
+            const words = [];
+            for (let wordId = 0; wordId < this.dataMemory.wordsPerBank; wordId++) {
+                words.push(this.peekDataWord(bankId, wordId));
+            }
+            return words;
+        });
+        const depth = this.geometry.returnStackDepth;
+        const returnStack = [];
+        this.syncLine(this.returnStack);
+        for (let slot = 0; slot < this.returnStackPointer; slot++) {
+            const start = ((slot - this.wordUnderHead(depth) + depth) % depth) * this.wordSize;
+            returnStack.push(Number(registerValue(this.returnStack.peekRange(start, this.wordSize))));
+        }
+        return {
+            pc: this.pc,
+            baseAddress: this.baseAddress,
+            returnStack,
+            memoryClock: this.wordUnderHead(this.memory.wordsPerBank),
+            dataMemoryClock: this.wordUnderHead(this.dataMemory.wordsPerBank),
+            totalTicks: this.totalTicks,
+            correctedErrors: this.correctedErrors,
+            registers,
+            programMemory,
+            dataMemory,
+        };
+    }
+
+    // Fetches and executes one instruction. Returns false if none was
+    // started: the CPU was not running, or a line failed its margins.
+    step() {
+        if (this.state !== 'RUNNING') return false;
+        if (this.physical) {
+            const failure = this.physical.check(this, this.totalTicks);
+            if (failure) {
+                this.fault(failure.fault, failure.details);
+                return false;
+            }
         }
-        this.memoryClock = targetWordPos;
         
-        console.log(`\nTick ${this.totalTicks}: PC=${this.pc}. Memory aligned.`);
+        const line = this.alignProgramTank(this.pc);
         
         let fetchBuffer = [];
-        for(let i=0; i < WORD_SIZE; i++) {
-            fetchBuffer.push(this.memory.tick());
-            this.totalTicks++;
+        for(let i=0; i < this.wordSize; i++) {
+            fetchBuffer.push(line.peekReadHead());
+            this.tickLines(line);
         }
-        this.memoryClock = (this.memoryClock + 1) % numWords;
-        this.ir = fetchBuffer.reduce((acc, bit) => (acc << 1n) | BigInt(bit), 0n);
+        const word = this.checkWord(line, this.programTank(this.pc).position, bitsToWord(fetchBuffer), { memory: 'program', address: this.pc });
+        if (word === null) return true;
+        this.ir = word;
+        // In the successor format the word names the next instruction.
+        const successor = this.wordFormat === 'sequential' ? null : decode(this.ir, this.wordFormat, this.geometry).successor;
+        this.trace('fetch', successor === null ? { ir: this.ir } : { ir: this.ir, successor });
 
         this.execute();
 
         if (this.jumped) {
             this.jumped = false;
         } else if (this.state === 'RUNNING') {
-            this.pc++;
+            this.pc = successor === null ? this.pc + 1 : successor;
         }
+        return true;
     }
 
     execute() {
-        const opcode = Number(this.ir >> (BigInt(WORD_SIZE) - 8n));
-        const operand = this.ir & 0xFFFFFFFFn; 
-        console.log(`  EXEC: IR=0b${this.ir.toString(2).padStart(40,'0')}, Opcode=${opcode}, Operand=${operand}`);
+        const { instruction, opcode, operand, fields, successor } = decode(this.ir, this.wordFormat, this.geometry);
+        const mnemonic = instruction ? instruction.mnemonic : null;
+        if (this.traces('exec')) {
+            this.trace('exec', { opcode, mnemonic, operand, disassembly: this.disassemble(this.ir) });
+        }
         let carry = 0;
 
-        switch (opcode) {
-            case this.OPCODES.LAI:
-            case this.OPCODES.LBI:
-            case this.OPCODES.LEA:
-            case this.OPCODES.LEB:
-                if ((opcode === this.OPCODES.LEA) || (opcode === this.OPCODES.LEB)) {
+        // Like an undefined opcode, a word naming an index register the
+        // machine does not have cannot be executed. X0, where the index is
+        // optional, means no indexing.
+        if (fields.index !== undefined) {
+            const index = operandFormats(this.wordFormat, this.geometry)[instruction.format].fields.find(field => field.name === 'index');
+            if (fields.index > BigInt(this.geometry.indexRegisters) || (fields.index === 0n && !index.optional)) {
+                this.halt('UNKNOWN_OPCODE');
+                return;
+            }
+        }
+
+        switch (mnemonic) {
+            case 'LAI':
+            case 'LBI':
+            case 'LEA':
+            case 'LEB':
+                if ((mnemonic === 'LEA') || (mnemonic === 'LEB')) {
                     // LEA (Load Immediate in the address part)
-                    const targetReg = (opcode === this.OPCODES.LAI) ? this.regA : this.regB;
-                    console.log(`      -> LEA: Setting base address to ${operand}`);
-                    for (let i = BigInt(WORD_SIZE - 1); i >= 0n; i--) {
-                        targetReg.write(Number((operand >> i) & 1n));
-                        targetReg.tick(); this.totalTicks++;
+                    const targetReg = (mnemonic === 'LEA') ? this.regA : this.regB;
+                    for (let i = BigInt(this.wordSize - 1); i >= 0n; i--) {
+                        targetReg.write(Number((fields.value >> i) & 1n));
+                        this.tickLines(targetReg);
                     }
-                    console.log(` Reg ${targetReg === this.regA ? 'A' : 'B'} after load: ${targetReg._memory.join('')}`);
+                    this.traceRegister(targetReg === this.regA ? 'A' : 'B');
                 } else {
                     // LAI or LBI (Load Immediate to Reg A or B)
-                    const targetReg = (opcode === this.OPCODES.LAI) ? this.regA : this.regB;
-                    console.log(`      -> Loading Immediate (${operand}) to Reg... (8 ticks)`);
-                    for (let i = 0n; i < BigInt(WORD_SIZE); i++) {
-                        targetReg.write(Number((operand >> i) & 1n));
-                        targetReg.tick(); this.totalTicks++;
+                    const targetReg = (mnemonic === 'LAI') ? this.regA : this.regB;
+                    for (let i = 0n; i < BigInt(this.wordSize); i++) {
+                        targetReg.write(Number((fields.value >> i) & 1n));
+                        this.tickLines(targetReg);
                     }
-                    console.log(` Reg ${targetReg === this.regA ? 'A' : 'B'} after load: ${targetReg._memory.join('')}`);
+                    this.traceRegister(targetReg === this.regA ? 'A' : 'B');
                 }
                 break;
             
-            case this.OPCODES.STO:
-            case this.OPCODES.LDA:
-            case this.OPCODES.STC:
-            case this.OPCODES.STB:
-            case this.OPCODES.LDB:
-                const bankId = Number(operand >> 4n);
-                const wordId = Number(operand & 0x0Fn);
-                const targetBank = this.dataMemory.banks[bankId];
-                console.log(`    -> Accessing Data Memory: Bank ${bankId}, Word ${wordId}`);
-                console.log(`      -> Aligning bank ${bankId}. Current logical pos: ${this.dataMemoryClocks[bankId]}, Target: ${wordId}`);
-                while (this.dataMemoryClocks[bankId] !== wordId) {
-                    //console.log(`      -> Ticking bank ${bankId}... (${this.dataMemoryClocks[bankId]} -> ${wordId})`);
-                    for (let i = 0; i < WORD_SIZE; i++) {
-                        this.dataMemory.banks[bankId].tick();
-                    }
-                    this.dataMemoryClocks[bankId] = (this.dataMemoryClocks[bankId] + 1) % this.dataMemory.wordsPerBank;
+            case 'STO':
+            case 'LDA':
+            case 'STC':
+            case 'STB':
+            case 'LDB':
+                const { bank: bankId, word: wordId } = this.indexedDataAddress(fields);
+                const targetBank = this.alignDataBank(bankId, wordId);
+
+                if (mnemonic === 'STO' || mnemonic === 'STC' || mnemonic === 'STB') {
+                    this.recordCheck(targetBank, wordId, this.registerWord(mnemonic === 'STB' ? 'B' : 'A'));
                 }
-                console.log(`      -> Word ${wordId} arrived.`);
-
-                if(opcode === this.OPCODES.STO) {
-                    console.log("      -> Storing Reg A to Memory... (8 ticks)");
-                    for(let i=0; i<WORD_SIZE; i++) {
-                        targetBank.write(this.regA._memory[0]);
-                        targetBank.tick();
-                        this.regA.tick();
+                if(mnemonic === 'STO') {
+                    this.traceDataAccess('mem-write', bankId, wordId, 'A');
+                    for(let i=0; i<this.wordSize; i++) {
+                        targetBank.write(this.regA.peekReadHead());
+                        this.tickLines(targetBank, this.regA);
                     }
-                } else if(opcode === this.OPCODES.STB) {
-                    console.log("      -> Storing Reg B to Memory... (8 ticks)");
-                    for(let i=0; i<WORD_SIZE; i++) {
-                        targetBank.write(this.regB._memory[0]);
-                        targetBank.tick();
-                        this.regB.tick();
+                } else if(mnemonic === 'STB') {
+                    this.traceDataAccess('mem-write', bankId, wordId, 'B');
+                    for(let i=0; i<this.wordSize; i++) {
+                        targetBank.write(this.regB.peekReadHead());
+                        this.tickLines(targetBank, this.regB);
                     }
-                } else if(opcode === this.OPCODES.STC) {
-                    console.log("      -> Storing Reg A to Memory and clearing Reg A... (8 ticks)");
-                    for(let i=0; i<WORD_SIZE; i++) {
-                        targetBank.write(this.regA._memory[0]);
-                        targetBank.tick();
+                } else if(mnemonic === 'STC') {
+                    this.traceDataAccess('mem-write', bankId, wordId, 'A');
+                    for(let i=0; i<this.wordSize; i++) {
+                        targetBank.write(this.regA.peekReadHead());
                         this.regA.write(0); // Clear Reg A
-                        this.regA.tick();
+                        this.tickLines(targetBank, this.regA);
                     }
-                } else if(opcode === this.OPCODES.LDB ) { // LDB
-                    console.log("      -> Loading Memory to Reg B... (8 ticks)");
-                    for(let i=0; i<WORD_SIZE; i++) {
-                        this.regB.write(targetBank._memory[0]);
-                        this.regB.tick();
-                        targetBank.tick();
+                } else if(mnemonic === 'LDB' ) { // LDB
+                    for(let i=0; i<this.wordSize; i++) {
+                        this.regB.write(targetBank.peekReadHead());
+                        this.tickLines(this.regB, targetBank);
                     }
-                    console.log(` Reg B after LDB: ${this.regB._memory.join('')}`);
+                    if (!this.checkLoad(targetBank, bankId, wordId, 'B')) break;
+                    this.traceDataAccess('mem-read', bankId, wordId, 'B');
+                    this.traceRegister('B');
                 } else { // LDA
-                    console.log("      -> Loading Memory to Reg A... (8 ticks)");
-                    for(let i=0; i<WORD_SIZE; i++) {
-                        this.regA.write(targetBank._memory[0]);
-                        this.regA.tick();
-                        targetBank.tick();
+                    for(let i=0; i<this.wordSize; i++) {
+                        this.regA.write(targetBank.peekReadHead());
+                        this.tickLines(this.regA, targetBank);
                     }
-                    console.log(` Reg A after LDA: ${this.regA._memory.join('')}`);
+                    if (!this.checkLoad(targetBank, bankId, wordId, 'A')) break;
+                    this.traceDataAccess('mem-read', bankId, wordId, 'A');
+                    this.traceRegister('A');
                 }
-                this.dataMemoryClocks[bankId] = (this.dataMemoryClocks[bankId] + 1) % this.dataMemory.wordsPerBank;
                 break;
 
-            case this.OPCODES.LDP:
-            case this.OPCODES.STP:
-                const progMemAddr = Number(operand);
-                console.log(`      -> Accessing Program Memory at absolute address ${progMemAddr}`);
-
-                // --- Wait for the target word in program memory to arrive ---
-                const numWords = this.memory.size / WORD_SIZE;
-                const wordDistance = (progMemAddr - this.memoryClock + numWords) % numWords;
-                const ticksToWait = wordDistance * WORD_SIZE;
-
-                console.log(`      -> Aligning program memory. Current logical pos: ${this.memoryClock}, Target: ${progMemAddr}. Waiting ${ticksToWait} ticks.`);
-                for (let i = 0; i < ticksToWait; i++) {
-                    this.memory.tick();
-                    this.totalTicks++;
-                }
-                this.memoryClock = progMemAddr;
-                console.log(`      -> Word ${progMemAddr} arrived.`);
+            case 'LDP':
+            case 'STP':
+                const numWords = this.memory.size / this.wordSize;
+                const progMemAddr = ((Number(fields.address) + this.readIndex(Number(fields.index))) % numWords + numWords) % numWords;
+                // --- Wait for the target word to arrive in its tank ---
+                const progTank = this.alignProgramTank(progMemAddr);
 
-                if (opcode === this.OPCODES.LDP) {
-                    console.log("      -> LDP: Loading Program Memory to Reg A...");
+                if (mnemonic === 'LDP') {
                     // Read the word from program memory into Register A.
                     // The delay line's natural refresh cycle will preserve the data as we read it.
-                    for(let i=0; i<WORD_SIZE; i++) {
-                        const bit = this.memory.tick();
-                        this.regA.write(bit);
-                        this.regA.tick();
+                    for(let i=0; i<this.wordSize; i++) {
+                        this.regA.write(progTank.peekReadHead());
+                        this.tickLines(progTank, this.regA);
                     }
-                    console.log(` Reg A after LDP: ${this.regA._memory.join('')}`);
+                    // Program words are held most significant bit first.
+                    const loaded = bitsToWord(this.regA.getMemoryState());
+                    const checked = this.checkWord(progTank, this.programTank(progMemAddr).position, loaded, { memory: 'program', address: progMemAddr });
+                    if (checked === null) break;
+                    if (checked !== loaded) this.regA.pokeRange(0, valueBits(checked, this.wordSize).reverse());
+                    this.trace('mem-read', { memory: 'program', address: progMemAddr, register: 'A', value: bitsToWord(this.regA.getMemoryState()) });
+                    this.traceRegister('A');
                 } else { // STP
-                    console.log("      -> STP: Storing Reg A to Program Memory...");
+                    this.trace('mem-write', { memory: 'program', address: progMemAddr, register: 'A', value: bitsToWord(this.regA.getMemoryState()) });
+                    this.recordCheck(progTank, this.programTank(progMemAddr).position, bitsToWord(this.syncLine(this.regA).getMemoryState()));
                     // To write, we must disable the refresh loop, inject our new bits,
                     // and then re-enable the refresh loop.
-                    this.memory.enableRefresh = false;
-                    for(let i=0; i<WORD_SIZE; i++) {
-                        this.memory.write(this.regA._memory[0]);
-                        this.regA.tick(); // Move to the next bit in Reg A
-                        this.memory.tick(); // Move to the next bit position in memory
+                    progTank.enableRefresh = false;
+                    for(let i=0; i<this.wordSize; i++) {
+                        progTank.write(this.regA.peekReadHead());
+                        this.tickLines(progTank, this.regA); // Both move to their next bit
                     }
-                    this.memory.enableRefresh = true;
+                    progTank.enableRefresh = true;
                 }
-
-                // The memory head is now at the beginning of the *next* word.
-                this.memoryClock = (this.memoryClock + 1) % numWords;
                 break;
 
-            case this.OPCODES.SHL:
-                console.log("      -> SHL (Shift Left, 8 ticks)");
-                // To shift left, we read each bit and write the previous bit.
-                // The first bit written is a 0.
+            case 'SHL':
+                // To shift left, each bit is replaced by the bit behind it,
+                // taken from a tap one bit before the read head, and a 0
+                // goes in at the top.
                 // Because of the specific bit ordering, 
                 // the SHL operation will shift all bits to the left, halving the value.
-                this.regA.write(0); // Shift in a 0
-                this.regA.tick();
-                console.log(` Reg A after shift in: ${this.regA._memory.join('')}`);
+                for (let i = 0; i < this.wordSize; i++) {
+                    this.regA.write(i < this.wordSize - 1 ? this.regA.peek(1) : 0);
+                    this.tickLines(this.regA);
+                }
+                this.traceRegister('A');
                 break;
 
-            case this.OPCODES.SHR:
-                console.log("      -> SHR (Shift Right, 8 ticks)");
-                // To shift right, we need to reverse the order of bits.
-                // We'll read all bits, then write them back in shifted order.
-                // Use regS as a temporary storage.
+            case 'SHR':
+                // To shift right, each bit is written back one bit late,
+                // through a one-bit delay. The first bit written is a 0.
                 // Because of the specific bit ordering,
                 // the SHR operation will shift all bits to the right, doubling the value.
-                this.regS.clear();
-                for (let i = 0; i < WORD_SIZE; i++) {
-                    this.regS.write(this.regA.tick());
-                    this.regS.tick();
-                }
-                this.regA.clear();
-                this.regA.write(0); // Shift in a 0
-                this.regA.tick();
-                for (let i = 0; i < WORD_SIZE - 1; i++) {
-                    this.regA.write(this.regS.tick());
-                    this.regA.tick();
+                let delayed = 0; // Shift in a 0
+                for (let i = 0; i < this.wordSize; i++) {
+                    const bit = this.regA.peekReadHead();
+                    this.regA.write(delayed);
+                    delayed = bit;
+                    this.tickLines(this.regA);
                 }
-                console.log(` Reg A after SHR: ${this.regA._memory.join('')}`);
+                this.traceRegister('A');
                 break;
 
-            case this.OPCODES.AND:
-                console.log("      -> AND (Bitwise AND between Reg A and Reg B, 8 ticks)");
-                for (let i = 0; i < WORD_SIZE; i++) {
-                    const bitA = this.regA._memory[0];
-                    const bitB = this.regB._memory[0];
+            case 'AND':
+                for (let i = 0; i < this.wordSize; i++) {
+                    const bitA = this.regA.peekReadHead();
+                    const bitB = this.regB.peekReadHead();
                     this.regA.write(bitA & bitB);
-                    this.regA.tick();
-                    this.regB.tick();
+                    this.tickLines(this.regA, this.regB);
                 }
-                console.log(` Reg A after AND: ${this.regA._memory.join('')}`);
+                this.traceRegister('A');
                 break;
 
-            case this.OPCODES.ORR:
-                console.log("      -> ORR (Bitwise OR between Reg A and Reg B, 8 ticks)");
-                for (let i = 0; i < WORD_SIZE; i++) {
-                    const bitA = this.regA._memory[0];
-                    const bitB = this.regB._memory[0];
+            case 'ORR':
+                for (let i = 0; i < this.wordSize; i++) {
+                    const bitA = this.regA.peekReadHead();
+                    const bitB = this.regB.peekReadHead();
                     this.regA.write(bitA | bitB);
-                    this.regA.tick();
-                    this.regB.tick();
+                    this.tickLines(this.regA, this.regB);
                 }
-                console.log(` Reg A after ORR: ${this.regA._memory.join('')}`);
+                this.traceRegister('A');
                 break;
 
-            case this.OPCODES.XOR:
-                console.log("      -> XOR (Bitwise XOR between Reg A and Reg B, 8 ticks)");
-                for (let i = 0; i < WORD_SIZE; i++) {
-                    const bitA = this.regA._memory[0];
-                    const bitB = this.regB._memory[0];
+            case 'XOR':
+                for (let i = 0; i < this.wordSize; i++) {
+                    const bitA = this.regA.peekReadHead();
+                    const bitB = this.regB.peekReadHead();
                     this.regA.write(bitA ^ bitB);
-                    this.regA.tick();
-                    this.regB.tick();
+                    this.tickLines(this.regA, this.regB);
                 }
-                console.log(` Reg A after XOR: ${this.regA._memory.join('')}`);
+                this.traceRegister('A');
                 break;
             
-            case this.OPCODES.MUL:
-                console.log("      -> MUL (Booth's Algorithm for Signed Multiplication)");
+            case 'MUL':
 
                 // --- BOOTH'S ALGORITHM SETUP ---
 
                 // 1. Copy Multiplicand from Reg A to scratch Reg S. Reg B is the Multiplier.
-                for (let i = 0; i < WORD_SIZE; i++) {
-                    this.regS.write(this.regA.tick());
-                    this.regS.tick();
+                for (let i = 0; i < this.wordSize; i++) {
+                    this.regS.write(this.regA.peekReadHead());
+                    this.tickLines(this.regA, this.regS);
                 }
 
                 // 2. Compute the two's complement of the multiplicand (-M) and store it in Reg T.
                 //    First, invert the bits of S and store in T, while rotating S to preserve it.
-                for (let i = 0; i < WORD_SIZE; i++) {
-                    this.regT.write(this.regS._memory[0] === 1 ? 0 : 1);
-                    this.regT.tick();
-                    this.regS.tick(); // Keep S aligned
+                for (let i = 0; i < this.wordSize; i++) {
+                    this.regT.write(this.regS.peekReadHead() === 1 ? 0 : 1);
+                    this.tickLines(this.regT, this.regS); // S recirculates unchanged
                 }
                 //    Second, add 1 to T to complete the negation.
                 let negCarry = 1;
-                for (let i = 0; i < WORD_SIZE; i++) {
-                    const sum = this.regT._memory[0] + negCarry;
+                for (let i = 0; i < this.wordSize; i++) {
+                    const sum = this.regT.peekReadHead() + negCarry;
                     this.regT.write(sum % 2);
                     negCarry = sum > 1 ? 1 : 0;
-                    this.regT.tick();
+                    this.tickLines(this.regT);
                 }
 
                 // 3. Clear the Accumulator (Reg A).
@@ -407,405 +950,494 @@ class SimpleCPU {
                 let q_minus_1 = 0;
 
                 // --- BOOTH'S ALGORITHM MAIN LOOP ---
-                for (let i = 0; i < WORD_SIZE; i++) {
-                    const q_0 = this.regB._memory[0]; // Current LSB of the multiplier
+                for (let i = 0; i < this.wordSize; i++) {
+                    const q_0 = this.regB.peekReadHead(); // Current LSB of the multiplier
 
                     // Step 1: Check the bit pair [Q0, Q-1] and decide to add, subtract, or do nothing.
                     if (q_0 === 0 && q_minus_1 === 1) {
                         // Pair is 01: Beginning of a block of 1s. Add M (A = A + S).
                         let addCarry = 0;
-                        for (let j = 0; j < WORD_SIZE; j++) {
-                            const bitA = this.regA._memory[0];
-                            const bitS = this.regS._memory[0];
+                        for (let j = 0; j < this.wordSize; j++) {
+                            const bitA = this.regA.peekReadHead();
+                            const bitS = this.regS.peekReadHead();
                             const sum = bitA + bitS + addCarry;
                             this.regA.write(sum % 2);
                             addCarry = sum > 1 ? 1 : 0;
-                            this.regA.tick();
-                            this.regS.tick(); // Rotate S to preserve it
-                            this.totalTicks++;
+                            this.tickLines(this.regA, this.regS); // S recirculates unchanged
                         }
                     } else if (q_0 === 1 && q_minus_1 === 0) {
                         // Pair is 10: End of a block of 1s. Subtract M (A = A + (-M) -> A = A + T).
                         let subCarry = 0;
-                        for (let j = 0; j < WORD_SIZE; j++) {
-                            const bitA = this.regA._memory[0];
-                            const bitT = this.regT._memory[0];
+                        for (let j = 0; j < this.wordSize; j++) {
+                            const bitA = this.regA.peekReadHead();
+                            const bitT = this.regT.peekReadHead();
                             const sum = bitA + bitT + subCarry;
                             this.regA.write(sum % 2);
                             subCarry = sum > 1 ? 1 : 0;
-                            this.regA.tick();
-                            this.regT.tick(); // Rotate T to preserve it
-                            this.totalTicks++;
+                            this.tickLines(this.regA, this.regT); // T recirculates unchanged
                         }
                     }
                     // If the pair is 00 or 11, do nothing to the accumulator.
 
-                    // Step 2: Perform an Arithmetic Right Shift on the combined [A, B] registers.
-                    const signBitA = this.regA._memory[WORD_SIZE - 1]; // Get MSB of A for arithmetic shift
-                    const lsbA = this.regA._memory[0];             // Get LSB of A to shift into B
-                    q_minus_1 = this.regB._memory[0];              // The new Q-1 is the outgoing LSB of B
-
-                    this.regA.write(signBitA); // Shift A right, preserving the sign bit
-                    this.regA.tick();
-
-                    this.regB.write(lsbA);     // Shift B right, bringing in the old LSB from A
-                    this.regB.tick();
-                    this.totalTicks += 2; // Account for the two ticks in the shift
+                    // Step 2: Perform an Arithmetic Right Shift on the combined [A, B] registers:
+                    // one word time, each bit taken from a tap one bit before the read head.
+                    const lsbA = this.regA.peekReadHead(); // Get LSB of A to shift into B
+                    q_minus_1 = this.regB.peekReadHead();  // The new Q-1 is the outgoing LSB of B
+                    for (let j = 0; j < this.wordSize; j++) {
+                        const last = j === this.wordSize - 1;
+                        this.regA.write(last ? this.regA.peekReadHead() : this.regA.peek(1)); // Shift A right, preserving the sign bit
+                        this.regB.write(last ? lsbA : this.regB.peek(1));                     // Shift B right, bringing in the old LSB from A
+                        this.tickLines(this.regA, this.regB);
+                    }
                 }
 
                 // --- FINALIZATION ---
                 // The 80-bit result is now in [Reg A (High bits), Reg B (Low bits)].
                 // For compatibility with the PRA instruction (which prints Reg A),
                 // we will copy the low-order bits from B into A.
-                for(let i=0; i<WORD_SIZE; i++) {
-                    this.regA.write(this.regB.tick());
-                    this.regA.tick();
+                for(let i=0; i<this.wordSize; i++) {
+                    this.regA.write(this.regB.peekReadHead());
+                    this.tickLines(this.regA, this.regB);
                 }
 
-                console.log(` Reg A after Booth's MUL (low part): ${this.regA._memory.join('')}`);
+                this.traceRegister('A');
                 break;
 
-            case this.OPCODES.RND:
-                const bitsToClear = Number(operand);
-                console.log(`      -> ROUNDA, ${bitsToClear} (${WORD_SIZE} ticks)`);
-                for (let i = 0; i < WORD_SIZE; i++) {
-                    const currentBit = this.regA._memory[0];
+            case 'RND':
+                const bitsToClear = Number(fields.value);
+                for (let i = 0; i < this.wordSize; i++) {
+                    const currentBit = this.regA.peekReadHead();
                     // For the N least significant bits, write 0. Otherwise, refresh the bit.
                     if (i < bitsToClear) {
                         this.regA.write(0);
                     } else {
                         this.regA.write(currentBit);
                     }
-                    this.regA.tick();
+                    this.tickLines(this.regA);
                 }
-                console.log(` Reg A after RND: ${this.regA._memory.join('')}`);
+                this.traceRegister('A');
                 break;
 
-            case this.OPCODES.MLA:
-                const loopCount = Number(operand);
-                console.log(`      -> MULADD, ${loopCount} (${WORD_SIZE * loopCount} ticks)`);
+            case 'MLA':
+                const loopCount = Number(fields.value);
                 for (let j = 0; j < loopCount; j++) {
                     let carry = 0;
-                    for (let i = 0; i < WORD_SIZE; i++) {
-                        const bitA = this.regA._memory[0];
-                        const bitB = this.regB._memory[0];
+                    for (let i = 0; i < this.wordSize; i++) {
+                        const bitA = this.regA.peekReadHead();
+                        const bitB = this.regB.peekReadHead();
                         const sum = bitA + bitB + carry;
                         this.regA.write(sum % 2);
                         carry = sum > 1 ? 1 : 0;
-                        this.regA.tick();
-                        this.regB.tick();
+                        this.tickLines(this.regA, this.regB);
                     }
                 }
-                console.log(` Reg A after MULADD: ${this.regA._memory.join('')}`);
+                this.traceRegister('A');
                 break;
 
-            case this.OPCODES.ADD:
-                console.log("      -> ADD... (8 ticks)");
+            case 'ADD':
                 carry = 0;
-                for (let i = 0; i < WORD_SIZE; i++) {
-                    const bitA = this.regA._memory[0];
-                    const bitB = this.regB._memory[0];
+                for (let i = 0; i < this.wordSize; i++) {
+                    const bitA = this.regA.peekReadHead();
+                    const bitB = this.regB.peekReadHead();
                     const sum = bitA + bitB + carry;
                     this.regA.write(sum % 2);
                     carry = sum > 1 ? 1 : 0;
-                    this.regA.tick();
-                    this.regB.tick();
+                    this.tickLines(this.regA, this.regB);
                 }
-                console.log(` Reg A after ADD: ${this.regA._memory.join('')}`);
+                this.traceRegister('A');
                 break;
             
-            case this.OPCODES.COL: // *** NEW OPCODE LOGIC ***
-                console.log("      -> COL (Collate)");
+            case 'COL': // *** NEW OPCODE LOGIC ***
                 // Phase 1: Fetch value from data memory into scratch register S
-                const colBankId = Number(operand >> 4n); 
-                const colWordId = Number(operand & 0x0Fn); 
-                const colTargetBank = this.dataMemory.banks[colBankId];
-                console.log(`         - Fetching from Mem[${colBankId},${colWordId}] into Scratch Reg`);
-                while (this.dataMemoryClocks[colBankId] !== colWordId) { 
-                    for (let i = 0; i < WORD_SIZE; i++) { 
-                        colTargetBank.tick(); 
-                    } 
-                    this.dataMemoryClocks[colBankId] = (this.dataMemoryClocks[colBankId] + 1) % this.dataMemory.wordsPerBank; 
-                }
-                for(let i=0; i<WORD_SIZE; i++) { 
-                    this.regS.write(colTargetBank._memory[0]); 
-                    colTargetBank.tick(); 
-                    this.regS.tick(); this.regA.tick(); this.regB.tick(); this.totalTicks++; 
+                const { bank: colBankId, word: colWordId } = this.indexedDataAddress(fields);
+                const colTargetBank = this.alignDataBank(colBankId, colWordId);
+                for(let i=0; i<this.wordSize; i++) { 
+                    this.regS.write(colTargetBank.peekReadHead()); 
+                    this.tickLines(colTargetBank, this.regS);
                 }
-                this.dataMemoryClocks[colBankId] = (this.dataMemoryClocks[colBankId] + 1) % this.dataMemory.wordsPerBank;
+                if (!this.checkLoad(colTargetBank, colBankId, colWordId, 'S')) break;
 
                 // Phase 2: Compute A = A + (S AND B)
-                console.log("         - Computing A = A + (Scratch AND B)");
+                this.traceDataAccess('mem-read', colBankId, colWordId, 'S');
                 carry = 0;
-                for (let i = 0; i < WORD_SIZE; i++) {
-                    const bitA = this.regA._memory[0];
-                    const bitB = this.regB._memory[0];
-                    const bitS = this.regS._memory[0];
+                for (let i = 0; i < this.wordSize; i++) {
+                    const bitA = this.regA.peekReadHead();
+                    const bitB = this.regB.peekReadHead();
+                    const bitS = this.regS.peekReadHead();
                     const andResult = bitS & bitB;
                     const sum = bitA + andResult + carry;
                     this.regA.write(sum % 2);
                     carry = sum > 1 ? 1 : 0;
-                    this.regA.tick(); this.regB.tick(); this.regS.tick(); this.totalTicks++;
+                    this.tickLines(this.regA, this.regB, this.regS);
                 }
-                console.log(` Reg A after COL: ${this.regA._memory.join('')}`);
+                this.traceRegister('A');
                 break;
 
-            case this.OPCODES.NEG:
+            case 'NEG':
                 // Perform Two's Complement negation on the numeric register
                 // 1. Invert the bits (~ operator)
                 // 2. Add 1
                 // 3. Ensure it's an 8-bit result (& 0xFF)
-                console.log("      -> NEG (16 ticks)");
-                for (let i = 0; i < WORD_SIZE; i++) {
-                    this.regB.write(this.regB._memory[0] == 0 ? 1 : 0);
-                    this.regB.tick();
+                for (let i = 0; i < this.wordSize; i++) {
+                    this.regB.write(this.regB.peekReadHead() == 0 ? 1 : 0);
+                    this.tickLines(this.regB);
                 }
-                //console.log(`  *** NEG OP *** CPU State -> A: ${this.regA._memory}, B: ${this.regB._memory}`);
                 let incrementCarry = 1;
-                for (let i = 0; i < WORD_SIZE; i++) {
-                    //console.log(` b${i}: ${this.regB._memory[0]}, incrementCarry: ${incrementCarry}`);
-                    const sum = this.regB._memory[0] + incrementCarry;
+                for (let i = 0; i < this.wordSize; i++) {
+                    const sum = this.regB.peekReadHead() + incrementCarry;
                     this.regB.write(sum % 2);
                     incrementCarry = sum > 1 ? 1 : 0;
-                    this.regB.tick();
+                    this.tickLines(this.regB);
                 }
-                console.log(` Reg B after NEG: ${this.regB._memory.join('')}`);
+                this.traceRegister('B');
                 break;
 
-            case this.OPCODES.JMP:
-                const relativeTarget = Number(operand);
+            case 'JMP':
+                const relativeTarget = Number(fields.offset);
                 // *** CHANGED: JMP now calculates absolute address from base address
                 this.pc = this.baseAddress + relativeTarget;
                 this.jumped = true;
-                console.log(`      -> JMP to relative address ${relativeTarget} (absolute: ${this.pc})`);
+                this.trace('jump', { target: this.pc, taken: true });
                 break;
 
-            case this.OPCODES.JMPA: 
-                this.pc = Number(operand);
+            case 'CALL': {
+                // Returns to the instruction that would have followed.
+                const numWords = this.memory.size / this.wordSize;
+                if (!this.pushReturnAddress(successor === null ? (this.pc + 1) % numWords : successor)) break;
+                this.pc = this.baseAddress + Number(fields.offset);
                 this.jumped = true;
-                console.log(`      -> JMPA (Absolute) to address ${this.pc}`);
+                this.trace('jump', { target: this.pc, taken: true });
                 break;
+            }
 
+            case 'RET': {
+                const returnAddress = this.popReturnAddress();
+                if (returnAddress === null) break;
+                this.pc = returnAddress;
+                this.jumped = true;
+                this.trace('jump', { target: this.pc, taken: true });
+                break;
+            }
+
+            case 'JMPA': 
+                this.pc = Number(fields.address);
+                this.jumped = true;
+                this.trace('jump', { target: this.pc, taken: true });
+                break;
 
-            case this.OPCODES.JZA:
-                console.log("      -> JNA (Checking if A is Zero)");
+
+            case 'JZA':
                 let isZero = true;
-                for (let i = 0; i < WORD_SIZE; i++) { 
-                    if (this.regA._memory[0] === 1) { isZero = false; } 
-                    this.regA.tick(); this.totalTicks++; 
+                for (let i = 0; i < this.wordSize; i++) { 
+                    if (this.regA.peekReadHead() === 1) { isZero = false; } 
+                    this.tickLines(this.regA);
                 }
-                if (isZero) { this.pc = this.baseAddress + Number(operand); this.jumped = true; }
+                if (isZero) { this.pc = this.baseAddress + Number(fields.offset); this.jumped = true; }
+                this.trace('jump', { target: this.baseAddress + Number(fields.offset), taken: isZero });
                 break;
 
-            case this.OPCODES.JNA:
-                console.log("      -> JNA (Checking if A is Negative)");
+            case 'JNA':
                 let msb = 0;
-                for (let i = 0; i < WORD_SIZE; i++) {
-                    const bit = this.regA._memory[0];
-                    if (i === WORD_SIZE - 1) { // Is this the last bit (MSB)?
+                for (let i = 0; i < this.wordSize; i++) {
+                    const bit = this.regA.peekReadHead();
+                    if (i === this.wordSize - 1) { // Is this the last bit (MSB)?
                         msb = bit;
                     }
-                    this.regA.tick(); this.totalTicks++;
+                    this.tickLines(this.regA);
                 }
                 if (msb === 1) { 
-                    this.pc = this.baseAddress + Number(operand); 
+                    this.pc = this.baseAddress + Number(fields.offset); 
                     this.jumped = true; 
-                    console.log(`      -> Condition MET (MSB=1). Jumping.`); 
                 } 
-                else { console.log("      -> Condition NOT MET (MSB=0). No jump."); }
+                this.trace('jump', { target: this.baseAddress + Number(fields.offset), taken: msb === 1 });
+                break;
+
+            case 'LXI':
+                this.writeIndex(Number(fields.index), fields.value);
                 break;
 
-            case this.OPCODES.PRA:
-                let wordBuffer = [];
-                for(let i=0; i<WORD_SIZE; i++) {
-                    wordBuffer.push(this.regA._memory[0]);
-                    this.regA.tick(); this.totalTicks++;
+            case 'LXA': {
+                const register = this['regX' + Number(fields.index)];
+                for (let i = 0; i < this.wordSize; i++) {
+                    register.write(this.regA.peekReadHead());
+                    this.tickLines(register, this.regA);
                 }
-                const valA = wordBuffer.reduce((acc, bit, i) => acc | (BigInt(bit) << BigInt(i)), 0n);
-                const signBit = (valA >> BigInt(WORD_SIZE - 1)) & 1n;
-                let finalValue = signBit === 1n ? -( (~valA & ((1n << BigInt(WORD_SIZE)) - 1n)) + 1n ) : valA;
-                console.log(`\n>>> OUTPUT: ${finalValue}\n`);
+                this.traceRegister('X' + Number(fields.index));
                 break;
+            }
 
-            case this.OPCODES.NOP:
-                console.log("      -> NOP");
+            case 'INX': {
+                // Serial add of the operand, the index register recirculating.
+                const register = this['regX' + Number(fields.index)];
+                const addend = valueBits(fields.value, this.wordSize);
+                carry = 0;
+                for (let i = 0; i < this.wordSize; i++) {
+                    const sum = register.peekReadHead() + addend[i] + carry;
+                    register.write(sum % 2);
+                    carry = sum > 1 ? 1 : 0;
+                    this.tickLines(register);
+                }
+                this.traceRegister('X' + Number(fields.index));
                 break;
+            }
 
-            case this.OPCODES.HLT:
-                this.state = 'HALTED';
-                console.log("\n--- HALT ---");
+            case 'JXN': {
+                const taken = this.readIndex(Number(fields.index)) !== 0;
+                if (taken) { this.pc = this.baseAddress + Number(fields.offset); this.jumped = true; }
+                this.trace('jump', { target: this.baseAddress + Number(fields.offset), taken });
+                break;
+            }
+
+            case 'RDN':
+            case 'RDC':
+                this.readTape(mnemonic === 'RDC');
+                break;
+
+            case 'JTE': {
+                const ended = !this.tape || this.tape.atEnd();
+                if (ended) { this.pc = this.baseAddress + Number(fields.offset); this.jumped = true; }
+                this.trace('jump', { target: this.baseAddress + Number(fields.offset), taken: ended });
+                break;
+            }
+
+            case 'PRA':
+            case 'PRH':
+            case 'PRO':
+            case 'PRB':
+            case 'PRF':
+                this.emitOutput(this.readA(), PRINT_FORMATS[mnemonic]);
+                break;
+
+            case 'PCH': {
+                const code = Number(this.readA() & ((1n << BigInt(this.teleprinter.codeBits)) - 1n));
+                const text = this.teleprinter.type(code);
+                this.trace('output', { character: code, text });
+                break;
+            }
+
+            case 'NOP':
+                break;
+
+            case 'HLT':
+                this.halt('HLT');
                 break;
                 
             default:
-                console.error(`\n! EXECUTION ERROR: Unknown Opcode ${opcode}`);
-                this.state = 'HALTED';
+                this.halt('UNKNOWN_OPCODE');
         }
     }
 }
 
 // --- DEBUGGING DUMP UTILITY ---
 function dumpState(cpu) {
-    console.log(`\n--- STATE DUMP ---`);
+    const log = message => cpu.log('instr', message);
+    log(`\n--- STATE DUMP ---`);
     
-    const memState = cpu.memory._memory;
-    const numWords = cpu.memory.size / WORD_SIZE;
-    console.log("  Main Memory (non-zero words):");
-    for (let i = 0; i < numWords; i++) {
-        const wordBits = memState.slice(i * WORD_SIZE, (i + 1) * WORD_SIZE);
-        if (wordBits.some(b => b === 1)) {
-            console.log(`    Word ${i}: ${wordBits.join('')}`);
+    const numWords = cpu.memory.size / cpu.wordSize;
+    log("  Main Memory (non-zero words):");
+    for (let address = 0; address < numWords; address++) {
+        const word = cpu.peekWord(address);
+        if (word !== 0n) {
+            const label = cpu.labels.get(address);
+            const hex = word.toString(16).toUpperCase().padStart(Math.ceil(cpu.wordSize / 4), '0');
+            log(`    Word ${address}: ${hex}  ${label ? `${label}: ` : ''}${cpu.disassemble(word)}`);
         }
     }
 
-    const regAState = cpu.regA._memory.join('');
-    const regBState = cpu.regB._memory.join('');
-    console.log(`  Register A: ${regAState}`);
-    console.log(`  Register B: ${regBState}`);
-    console.log("--------------------------");
+    const regAState = cpu.regA.getMemoryState().join('');
+    const regBState = cpu.regB.getMemoryState().join('');
+    log(`  Register A: ${regAState}`);
+    log(`  Register B: ${regBState}`);
+    log("--------------------------");
 }
 
-// --- MAIN EXECUTION ---
-function runSimulation(program) {
-    const memory = new DelayLineMemory(MEMORY_SIZE);
-    const dataMemory = new MemorySystem(NUM_DATA_BANKS, WORDS_PER_BANK, WORD_SIZE);
-    const cpu = new SimpleCPU(memory,dataMemory);
-
-    // --- PHASE 1: ASSEMBLE & LOAD (REVISED) ---
-    console.log("--- Assembling and Loading Program ---");
-    const originalLines = program.trim().split('\n').map(l => l.split(';')[0].trim()).filter(l => l);
-
-    // --- PASS 1: Pre-processing and Label Mapping ---
-    const labelMap = {};
-    const instructions = [];
-    let nextInstructionIndex = 0;
-
-    originalLines.forEach(line => {
-        const parts = line.split(':');
-        const labelPart = parts[0].trim().toUpperCase();
-
-        if (parts.length > 1) { // A label is present
-            if (labelMap[labelPart]) {
-                console.error(`\n! ASSEMBLY ERROR: Duplicate label '${labelPart}' defined.`);
-                return;
-            }
-            // The label points to the *next* actual instruction that will be added.
-            labelMap[labelPart] = nextInstructionIndex;
-            console.log(`  Found label '${labelPart}' pointing to instruction index ${nextInstructionIndex}`);
-        }
-
-        const instructionPart = (parts.length > 1 ? parts[1] : parts[0]).trim();
-        if (instructionPart) { // If there's an actual instruction on the line...
-            instructions.push(instructionPart);
-            nextInstructionIndex++;
-        }
-    });
+// --- MACHINE CONSTRUCTION & LOADING ---
+/**
+ * Builds a fresh machine: main memory, banked data memory and a CPU wired to both.
+ * Unless the trace level is 'none', a console trace is attached to the CPU.
+ * @param {object} [options={}] Passed through to the SimpleCPU constructor.
+ * @param {function(string)|null} [options.logger=console.log] Receives console
+ *        trace lines; pass null to attach no console trace.
+ * @param {Function} [options.lineClass=DelayLineMemory] Delay-line implementation
+ *        used for every memory and register.
+ * @param {FaultModel} [options.faults] Builds every line with the model's
+ *        faults instead (see faults.js); `lineClass` is then ignored.
+ * @param {object} [options.geometry=DEFAULT_GEOMETRY] Word length, instruction
+ *        layout and memory sizes (see geometry.js).
+ * @param {number} [options.programTanks=1] Delay lines (tanks) making up main memory.
+ * @param {number} [options.wordsPerTank] Words in each tank; by default the
+ *        geometry's main memory words are shared equally between the tanks.
+ * @returns {SimpleCPU}
+ */
+function createMachine(options = {}) {
+    const faults = options.faults || null;
+    const lineClass = faults ? faults.lineClass : options.lineClass || DelayLineMemory;
+    const geometry = makeGeometry(options.geometry);
+    const programTanks = options.programTanks || PROGRAM_TANKS;
+    const wordsPerTank = options.wordsPerTank || geometry.memoryWords / programTanks;
+    if (!Number.isInteger(programTanks) || programTanks < 1 || !Number.isInteger(wordsPerTank) || wordsPerTank < 1) {
+        throw new Error(`Cannot build main memory from ${programTanks} tank(s) of ${wordsPerTank} word(s)`);
+    }
+    const memory = new MemorySystem(programTanks, wordsPerTank, geometry.wordSize, lineClass);
+    const dataMemory = new MemorySystem(geometry.dataBanks, geometry.wordsPerBank, geometry.wordSize, lineClass);
+    const cpu = new SimpleCPU(memory, dataMemory, { ...options, lineClass, geometry });
+    if (faults) faults.attach(cpu);
+    if (options.logger !== null && cpu.traceLevel !== 'none') {
+        attachConsoleTrace(cpu, { logger: options.logger });
+    }
+    return cpu;
+}
 
-    // --- PASS 2: Assemble using the clean instruction list and map ---
-    const numInstructions = instructions.length;
-    const numWords = memory.size / WORD_SIZE;
-    const programBaseAddress = numWords - numInstructions;
-    console.log(`--- Label Map Complete ---`, labelMap);
-    console.log(`Program has ${numInstructions} instructions. Base address: ${programBaseAddress}`);
-
-    const programLengthInBits = numInstructions * WORD_SIZE;
-    let initialTicks = 0;
-    memory.enableRefresh = false;
-
-    instructions.forEach((line, index) => {
-        const absoluteAddress = programBaseAddress + index;
-        const parts = line.trim().split(/[\s,]+/);
-        let instructionWord = 0n;
-        const op = parts[0].toUpperCase();
-
-        // (The code for assembling the instruction word is the same, but we show it for completeness)
-        if (!cpu.OPCODES[op]) {
-            console.error(`\n! ASSEMBLY ERROR: Unknown Instruction '${op}'`);
-            return;
-        }
-        const opcode = BigInt(cpu.OPCODES[op]);
-        let operand = 0n;
-        let word = 0n;
-
-        if (['JMP', 'JMPA', 'JNA', 'JZA', 'LDP', 'STP'].includes(op)) {
-            const operandStr = parts[1] ? parts[1].toUpperCase() : '0';
-            if (labelMap[operandStr] !== undefined) {
-                const labelIndex = labelMap[operandStr];
-                if (['JMP', 'JNA', 'JZA'].includes(op)) {
-                    operand = BigInt(labelIndex);
-                    console.log(`    [${absoluteAddress}] Assembling ${op} to label ${operandStr} (index ${labelIndex}) -> relative offset ${operand}`);
-                } else {
-                    const labelAbsoluteAddr = programBaseAddress + labelIndex;
-                    operand = BigInt(labelAbsoluteAddr);
-                    console.log(`    [${absoluteAddress}] Assembling ${op} to label ${operandStr} (index ${labelIndex}) -> absolute address ${operand}`);
+/**
+ * Circulates an assembled program into main memory, preloads its data words
+ * into the data memory banks and points the CPU at its entry address.
+ * Loading costs real ticks on the machine clock: the tanks are written side
+ * by side through one full revolution, each word as it passes its tank's
+ * head, and the banks that get data words are written alongside them in the
+ * same way. Loading ends when the longest of those lines has turned once.
+ * @param {SimpleCPU} cpu
+ * @param {{words: bigint[], baseAddress: number, entry: number, data: object[]}} image
+ *        Output of `assemble()`.
+ * @throws {Error} If the program was assembled for a machine of another geometry.
+ */
+function loadProgram(cpu, image) {
+    if (image.geometry && !sameGeometry(image.geometry, cpu.geometry)) {
+        throw new Error(`Program was assembled for ${describeGeometry(image.geometry)}; this machine has ${describeGeometry(cpu.geometry)}`);
+    }
+    const memory = cpu.memory;
+    const wordsPerTank = memory.wordsPerBank;
+    const wordsPerBank = cpu.dataMemory.wordsPerBank;
+    const programBaseAddress = image.baseAddress;
+    const data = dataByBank(image.data || []);
+    const revolution = Math.max(wordsPerTank, data.size > 0 ? wordsPerBank : 0);
+    let loadedTicks = 0;
+
+    for (let i = 0; i < revolution; i++) {
+        // The words passing the heads in this word time: program words are
+        // sent most significant bit first, data words least significant first.
+        const writes = [];
+        if (i < wordsPerTank) {
+            const position = cpu.wordUnderHead(wordsPerTank);
+            memory.banks.forEach((line, tank) => {
+                const index = tank * wordsPerTank + position - programBaseAddress;
+                if (index >= 0 && index < image.words.length) {
+                    writes.push({ line, bits: valueBits(image.words[index], cpu.wordSize).reverse() });
+                    cpu.recordCheck(line, position, image.words[index]);
                 }
-            } else {
-                operand = BigInt(parseInt(operandStr));
-            }
-            instructionWord = (opcode << BigInt(WORD_SIZE - 8)) | operand;
-        } else if (['STO', 'STB', 'LDA', 'LDB', 'STC', 'COL'].includes(op)) {
-            operand = BigInt(parts[1] ? parseInt(parts[1]) : 0);
-            word = BigInt(parts[2] ? parseInt(parts[2]) : 0);
-            const combinedAddress = (operand << 4n) | word;
-            instructionWord = (opcode << BigInt(WORD_SIZE-8)) | combinedAddress;
-        } else if (['LAI', 'LBI', 'RND', 'MLA', 'LEA', 'LEB'].includes(op)) {
-            const operandStr = parts[1] ? parts[1].toUpperCase() : '0';
-            if (labelMap[operandStr] !== undefined) {
-                const labelIndex = labelMap[operandStr];
-                const labelAbsoluteAddr = programBaseAddress + labelIndex;
-                operand = BigInt(labelAbsoluteAddr);
-                console.log(`    [${absoluteAddress}] Assembling ${op} to label ${operandStr} (index ${labelIndex}) -> absolute address ${operand}`);
-            } else {
-                operand = BigInt(parseInt(operandStr));
-                console.log(`    [${absoluteAddress}] Assembling ${op} with immediate value ${operand}`);
+            });
+            if (writes.length > 0) loadedTicks = (i + 1) * cpu.wordSize;
+        }
+        if (i < wordsPerBank) {
+            const wordId = cpu.wordUnderHead(wordsPerBank);
+            for (const [bankId, words] of data) {
+                if (!words.has(wordId)) continue;
+                writes.push({ line: cpu.dataMemory.banks[bankId], bits: valueBits(words.get(wordId), cpu.wordSize) });
+                cpu.recordCheck(cpu.dataMemory.banks[bankId], wordId, words.get(wordId));
             }
-            instructionWord = (opcode << BigInt(WORD_SIZE - 8)) | operand;
-        } else {
-            instructionWord = opcode << BigInt(WORD_SIZE - 8);
         }
-
-        for (let i = BigInt(WORD_SIZE - 1); i >= 0n; i--) {
-            memory.write(Number((instructionWord >> i) & 1n));
-            memory.tick();
-            initialTicks++;
+        // Bring the lines up to the clock before the first bit goes in.
+        const lines = writes.map(write => cpu.syncLine(write.line));
+        for (let bit = 0; bit < cpu.wordSize; bit++) {
+            for (const { line, bits } of writes) line.write(bits[bit]);
+            cpu.tickLines(...lines);
         }
-    });
-    memory.enableRefresh = true;
-    console.log(`Program loaded in ${initialTicks} ticks. Physical base address: Word ${programBaseAddress}`);
+    }
+    cpu.log('instr', `Program loaded in ${loadedTicks} ticks. Physical base address: Word ${programBaseAddress}`);
+    for (const [bankId, words] of data) {
+        cpu.log('instr', `Preloaded ${words.size} word(s) into data bank ${bankId}`);
+    }
+
+    cpu.baseAddress = programBaseAddress;
+    cpu.wordFormat = image.wordFormat || 'sequential';
+    cpu.entry = image.entry !== undefined ? image.entry : programBaseAddress;
+    cpu.labels = labelIndex(image.symbols ? labelAddresses(image.symbols) : {});
+    cpu.pc = cpu.entry;
 
     dumpState(cpu);
+}
 
-    // --- PHASE 2: WAIT FOR LATENCY (unchanged) ---
-    const ticksToWaitForData = MEMORY_SIZE - programLengthInBits;
-    console.log(`\n--- Waiting for memory stabilisation (${ticksToWaitForData} ticks)... ---`);
-    for (let i = 0; i < ticksToWaitForData; i++) {
-        memory.tick();
-        initialTicks++;
+// Groups `{ bank, word, value }` data words by bank: bank -> word -> value.
+function dataByBank(data) {
+    const banks = new Map();
+    for (const { bank, word, value } of data) {
+        if (!banks.has(bank)) banks.set(bank, new Map());
+        banks.get(bank).set(word, value);
     }
-    console.log("Wait complete. Memory ready for execution.");
-
-    // --- PHASE 3: EXECUTION (unchanged) ---
-    cpu.baseAddress = programBaseAddress;
-    cpu.pc = programBaseAddress;
-    cpu.memoryClock = programBaseAddress;
-    cpu.totalTicks = initialTicks;
+    return banks;
+}
 
-    console.log("\n--- Starting Execution ---");
-    let cycleLimit = 40; // Increased limit
+/**
+ * Steps a loaded CPU until it halts or the cycle limit runs out.
+ * @param {SimpleCPU} cpu
+ * @param {object} [options={}]
+ * @param {number} [options.cycleLimit=40] Maximum number of instructions to execute.
+ * @returns {object} The run result: printed values, the teleprinter's text,
+ *          halt reason, steps executed and the final machine state from
+ *          `cpu.getState()`; with a physical model, also the `elapsed` time
+ *          in microseconds and milliseconds.
+ */
+function runProgram(cpu, options = {}) {
+    let cycleLimit = options.cycleLimit !== undefined ? options.cycleLimit : 40;
+    let steps = 0;
     while (cpu.state === 'RUNNING' && cycleLimit > 0) {
-        cpu.step();
+        if (cpu.step()) steps++;
         cycleLimit--;
     }
 
-    if (cycleLimit === 0) {
-        console.log("\n--- Cycle limit reached. Halting simulation. ---");
+    if (cpu.state === 'RUNNING') {
+        cpu.halt('CYCLE_LIMIT');
+        cpu.log('instr', "\n--- Cycle limit reached. Halting simulation. ---");
+    }
+
+    return {
+        outputs: [...cpu.outputs],
+        printed: cpu.teleprinter.text,
+        haltReason: cpu.haltReason,
+        steps,
+        ...cpu.getState(),
+        ...(cpu.physical ? { elapsed: cpu.physical.elapsed(cpu.totalTicks) } : {}),
+    };
+}
+
+// --- MAIN EXECUTION ---
+/**
+ * Assembles, loads and runs a program on a fresh machine.
+ * @param {string} program Assembly source text.
+ * @param {object} [options={}] SimpleCPU options plus `cycleLimit` and the
+ *        `file` name used in assembler diagnostics.
+ * @returns {object} See `runProgram()`, plus the assembler's `labels`,
+ *          `baseAddress` and `warnings`.
+ * @throws {AssemblyError} If the program does not assemble.
+ */
+function runSimulation(program, options = {}) {
+    const cpu = createMachine(options);
+
+    // --- PHASE 1: ASSEMBLE & LOAD ---
+    cpu.log('instr', "--- Assembling and Loading Program ---");
+    const image = assemble(program, {
+        file: options.file,
+        geometry: cpu.geometry,
+        numWords: cpu.memory.size / cpu.wordSize,
+        numBanks: cpu.dataMemory.numBanks,
+        wordsPerBank: cpu.dataMemory.wordsPerBank,
+        log: message => cpu.log('instr', message),
+    });
+    for (const warning of image.warnings) {
+        cpu.log('instr', formatDiagnostic(warning));
     }
+    loadProgram(cpu, image);
+
+    // --- PHASE 2: EXECUTION ---
+    cpu.log('instr', "\n--- Starting Execution ---");
+    const result = runProgram(cpu, options);
 
-    console.log("\n\n=== SIMULATION FINISHED ===");
-    console.log(`Total Ticks: ${cpu.totalTicks}`);
+    cpu.log('instr', "\n\n=== SIMULATION FINISHED ===");
+    cpu.log('instr', `Total Ticks: ${cpu.totalTicks}`);
+    return { ...result, labels: image.labels, baseAddress: image.baseAddress, warnings: image.warnings };
 }
 
 // Program with a label for an infinite loop
-const program = `
+const SAMPLE_PROGRAM = `
 ; MUL test.
 MULTST:
     ; Load A
@@ -820,4 +1452,31 @@ MULTST:
     HLT
 `;
 
-runSimulation(program);
\ No newline at end of file
+module.exports = {
+    WORD_SIZE,
+    MEMORY_SIZE,
+    PROGRAM_TANKS,
+    NUM_DATA_BANKS,
+    WORDS_PER_BANK,
+    TRACE_LEVELS,
+    EVENT_LEVELS,
+    OPCODES,
+    DelayLineMemory,
+    MemorySystem,
+    SimpleCPU,
+    toSigned,
+    dumpState,
+    AssemblyError,
+    assemble,
+    formatDiagnostic,
+    formatListing,
+    createMachine,
+    loadProgram,
+    runProgram,
+    runSimulation,
+    SAMPLE_PROGRAM,
+};
+
+if (require.main === module) {
+    runSimulation(SAMPLE_PROGRAM);
+}
@@ -0,0 +1,434 @@
+/**
+ * debugger.js
+ *
+ * An interactive debugger around SimpleCPU.step(). `Debugger` runs one command
+ * line at a time and returns what it printed, so the same commands work from
+ * the REPL (`startRepl()`, or `node dlmem.js debug file.asm`) and from scripts.
+ *
+ * Locations are expressions as in the assembler (see expression.js): labels
+ * stand for their absolute addresses, constants for their values. A data
+ * memory location is written `bank,word` and the registers are `A`, `B`, `S`
+ * and `T`.
+ */
+
+const readline = require('readline');
+const { ISA, operandFormats, decode, encode, parseIndexRegister } = require('./isa');
+const { ExpressionError, evaluate } = require('./expression');
+const { labelAddresses } = require('./disasm');
+const { toSigned } = require('./cpu2m3');
+
+const DEFAULT_RUN_LIMIT = 100000;
+
+const HELP = `Commands (short forms in brackets):
+  break LOC          [b]  stop before executing the instruction at LOC
+  delete [LOC|WHERE] [del] remove a breakpoint or watchpoint; all of them without an argument
+  step [N]           [s]  execute N instructions (default 1)
+  continue           [c]  run until a breakpoint, a watchpoint or a halt
+  run                     run until the CPU halts, ignoring breakpoints and watchpoints
+  examine WHERE [N]  [x]  show N program words, N data words, or a register
+  deposit WHERE V    [d]  set a program word, data word or register to V
+  watch WHERE        [w]  stop when a program or data word changes
+  info               [i]  list breakpoints and watchpoints
+  status                  show PC, IR, clocks, registers and the return stack
+  list [LOC] [N]     [l]  disassemble N words from LOC (default: around the PC)
+  help               [h]  this text
+  quit               [q]  leave the debugger
+LOC is an address or label expression. WHERE is a LOC, BANK,WORD or a register
+(A, B, S, T, X1...; register names win over labels). V is an expression or, for
+program words, an instruction such as \`JMPA RETURN_HERE\` (in the successor
+word format optionally followed by \`-> LOC\`; the word's old successor is kept
+otherwise).`;
+
+const ALIASES = {
+    b: 'break', del: 'delete', s: 'step', c: 'continue', x: 'examine', d: 'deposit',
+    w: 'watch', i: 'info', l: 'list', h: 'help', '?': 'help', q: 'quit',
+};
+
+class DebuggerError extends Error {}
+
+/**
+ * Debugger state for one machine: breakpoints, watchpoints and the
+ * command interpreter.
+ */
+class Debugger {
+    /**
+     * @param {SimpleCPU} cpu A CPU with a program loaded.
+     * @param {object} [options={}]
+     * @param {object} [options.symbols={}] The assembler's symbol table.
+     * @param {number} [options.runLimit=100000] Most instructions one
+     *        `continue` or `run` executes before giving up.
+     */
+    constructor(cpu, options = {}) {
+        this.cpu = cpu;
+        this.symbols = options.symbols || {};
+        this.labels = labelAddresses(this.symbols);
+        this.runLimit = options.runLimit || DEFAULT_RUN_LIMIT;
+        this.breakpoints = new Set();
+        this.watchpoints = []; // { where, value }
+        this.quit = false;
+        this._out = [];
+        this._printing = ''; // teleprinter text not yet shown
+        cpu.teleprinter.sink = text => {
+            const lines = (this._printing + text).split('\n');
+            this._printing = lines.pop();
+            lines.forEach(printed => this.print(`output: ${printed}`));
+        };
+    }
+
+    print(line) {
+        this._out.push(line);
+    }
+
+    /**
+     * Runs one command line.
+     * @param {string} line
+     * @returns {string} Everything the command printed.
+     */
+    execute(line) {
+        this._out = [];
+        const [word, ...rest] = line.trim().split(/\s+/);
+        if (word) {
+            const command = ALIASES[word.toLowerCase()] || word.toLowerCase();
+            const handler = this['cmd_' + command];
+            try {
+                if (!handler) throw new DebuggerError(`unknown command '${word}' (try help)`);
+                handler.call(this, rest);
+            } catch (error) {
+                if (!(error instanceof DebuggerError) && !(error instanceof ExpressionError)) throw error;
+                this.print(`error: ${error.message}`);
+            }
+        }
+        if (this._printing) {
+            this.print(`output: ${this._printing}`);
+            this._printing = '';
+        }
+        return this._out.join('\n');
+    }
+
+    // --- PARSING ---
+    evaluate(text, lookupLabel = address => address) {
+        return evaluate(text, name => {
+            const symbol = this.symbols[name];
+            if (!symbol) throw new ExpressionError(`unknown label '${name}'`);
+            return symbol.kind === 'constant' ? symbol.value : BigInt(lookupLabel(symbol.address));
+        }, { maxShift: this.cpu.wordSize });
+    }
+
+    parseAddress(text) {
+        const numWords = this.cpu.memory.size / this.cpu.wordSize;
+        const address = Number(this.evaluate(text));
+        if (address < 0 || address >= numWords) {
+            throw new DebuggerError(`address ${address} is outside main memory (0 to ${numWords - 1})`);
+        }
+        return address;
+    }
+
+    // A program word, data word or register, from `LOC`, `BANK,WORD` or a register name.
+    parseWhere(text) {
+        if (this.cpu.registerNames.includes(text.toUpperCase())) {
+            return { kind: 'register', name: text.toUpperCase() };
+        }
+        const parts = text.split(',');
+        if (parts.length === 2) {
+            const { numBanks, wordsPerBank } = this.cpu.dataMemory;
+            const bank = Number(this.evaluate(parts[0]));
+            const word = Number(this.evaluate(parts[1]));
+            if (bank < 0 || bank >= numBanks || word < 0 || word >= wordsPerBank) {
+                throw new DebuggerError(`no data word ${bank},${word} (${numBanks} banks of ${wordsPerBank} words)`);
+            }
+            return { kind: 'data', bank, word };
+        }
+        return { kind: 'program', address: this.parseAddress(text) };
+    }
+
+    describeWhere(where) {
+        switch (where.kind) {
+            case 'register': return `Reg ${where.name}`;
+            case 'data': return `Mem[${where.bank},${where.word}]`;
+            default: return this.describeAddress(where.address);
+        }
+    }
+
+    describeAddress(address) {
+        const label = this.cpu.labels.get(address);
+        return label ? `${address} (${label})` : String(address);
+    }
+
+    read(where) {
+        switch (where.kind) {
+            case 'register': return this.cpu.getState().registers[where.name].value;
+            case 'data': return this.cpu.peekDataWord(where.bank, where.word);
+            default: return this.cpu.peekWord(where.address);
+        }
+    }
+
+    // Builds an instruction word for `address` from `MNEMONIC operands`, or
+    // returns null if the text does not start with a mnemonic.
+    assembleInstruction(text, address) {
+        const wordFormat = this.cpu.wordFormat;
+        const [code, successorText] = text.split('->');
+        const [mnemonic, ...rest] = code.trim().split(/\s+/);
+        const instruction = ISA.byMnemonic[mnemonic.toUpperCase()];
+        if (!instruction) return null;
+        const { geometry } = this.cpu;
+        const format = operandFormats(wordFormat, geometry)[instruction.format];
+        let successor = decode(this.cpu.peekWord(address), wordFormat, geometry).successor;
+        if (successorText !== undefined) {
+            if (successor === null) throw new DebuggerError(`'->' needs the successor word format`);
+            successor = this.parseAddress(successorText);
+        }
+        const operandText = rest.join(' ').trim();
+        const operands = operandText === '' ? [] : operandText.split(',');
+        const required = format.fields.filter(field => !field.optional).length;
+        if (operands.length < required || operands.length > format.fields.length) {
+            throw new DebuggerError(`${instruction.mnemonic} expects ${required === format.fields.length ? required : `${required} or ${format.fields.length}`} operand(s) (${format.syntax})`);
+        }
+        const toOperand = format.label === 'offset'
+            ? address => address - this.cpu.baseAddress
+            : address => address;
+        const values = operands.map((operand, i) => {
+            const field = format.fields[i];
+            if (field.name === 'index') {
+                try {
+                    return BigInt(parseIndexRegister(operand, geometry));
+                } catch (error) {
+                    throw new DebuggerError(error.message);
+                }
+            }
+            const value = this.evaluate(operand, toOperand);
+            const width = BigInt(field.width);
+            const min = field.signed ? -(1n << (width - 1n)) : 0n;
+            const max = field.signed ? (1n << (width - 1n)) - 1n : (1n << width) - 1n;
+            if (value < min || value > max) {
+                throw new DebuggerError(`${value} does not fit in the ${field.width}-bit ${field.name} field`);
+            }
+            return value;
+        });
+        return encode(instruction, values, { wordFormat, successor, geometry });
+    }
+
+    // --- DISPLAY ---
+    formatWord(word) {
+        return word.toString(16).toUpperCase().padStart(Math.ceil(this.cpu.wordSize / 4), '0');
+    }
+
+    formatProgramWord(address) {
+        const word = this.cpu.peekWord(address);
+        const label = this.cpu.labels.get(address);
+        const marker = address === this.cpu.pc ? '=>' : this.breakpoints.has(address) ? ' *' : '  ';
+        return `${marker}${String(address).padStart(5)}  ${this.formatWord(word)}  ${label ? `${label}: ` : ''}${this.cpu.disassemble(word)}`;
+    }
+
+    // Program words read best disassembled, data words as signed numbers.
+    formatValue(where, value) {
+        return where.kind === 'program' ? `'${this.cpu.disassemble(value)}'` : String(toSigned(value, this.cpu.wordSize));
+    }
+
+    showStatus() {
+        const cpu = this.cpu;
+        const state = cpu.getState();
+        const stateText = cpu.state === 'HALTED' ? `HALTED (${cpu.haltReason})` : cpu.state;
+        this.print(`PC=${this.describeAddress(cpu.pc)}  IR=${this.formatWord(BigInt(cpu.ir))} ${cpu.disassemble(BigInt(cpu.ir))}`);
+        this.print(`next: ${cpu.disassemble(cpu.peekWord(cpu.pc))}  state=${stateText}  totalTicks=${cpu.totalTicks}`);
+        this.print(`memoryClock=${state.memoryClock}  dataMemoryClock=${state.dataMemoryClock}`);
+        this.print(cpu.registerNames.map(name => `${name}=${toSigned(state.registers[name].value, cpu.wordSize)}`).join('  '));
+        if (state.returnStack.length > 0) {
+            this.print(`returnStack=[${state.returnStack.map(address => this.describeAddress(address)).join(' ')}]`);
+        }
+    }
+
+    // --- EXECUTION ---
+    // Steps up to `limit` instructions, stopping at breakpoints (after the
+    // first instruction) and watchpoints when `stopAtPoints` is set.
+    runFor(limit, stopAtPoints) {
+        const cpu = this.cpu;
+        let steps = 0;
+        let reason = null;
+        while (cpu.state === 'RUNNING' && steps < limit && !reason) {
+            if (stopAtPoints && steps > 0 && this.breakpoints.has(cpu.pc)) {
+                reason = `breakpoint at ${this.describeAddress(cpu.pc)}`;
+                break;
+            }
+            cpu.step();
+            steps++;
+            if (stopAtPoints) {
+                for (const watch of this.watchpoints) {
+                    const value = this.read(watch.where);
+                    if (value !== watch.value) {
+                        reason = `watchpoint: ${this.describeWhere(watch.where)} changed from ${this.formatValue(watch.where, watch.value)} to ${this.formatValue(watch.where, value)}`;
+                        watch.value = value;
+                    }
+                }
+            }
+        }
+        if (!reason && cpu.state === 'HALTED') reason = `halted (${cpu.haltReason})`;
+        if (!reason && steps === limit && limit === this.runLimit) reason = `stopped after ${limit} instructions`;
+        if (reason) this.print(reason);
+        this.refreshWatchpoints();
+        this.showStatus();
+    }
+
+    refreshWatchpoints() {
+        for (const watch of this.watchpoints) watch.value = this.read(watch.where);
+    }
+
+    requireRunning() {
+        if (this.cpu.state !== 'RUNNING') {
+            throw new DebuggerError(`the CPU has halted (${this.cpu.haltReason})`);
+        }
+    }
+
+    // --- COMMANDS ---
+    cmd_break([loc]) {
+        if (!loc) throw new DebuggerError('break needs an address or label');
+        const address = this.parseAddress(loc);
+        this.breakpoints.add(address);
+        this.print(`breakpoint at ${this.describeAddress(address)}`);
+    }
+
+    cmd_delete([text]) {
+        if (!text) {
+            this.breakpoints.clear();
+            this.watchpoints = [];
+            this.print('deleted all breakpoints and watchpoints');
+            return;
+        }
+        const where = this.parseWhere(text);
+        const description = this.describeWhere(where);
+        const before = this.watchpoints.length;
+        this.watchpoints = this.watchpoints.filter(w => this.describeWhere(w.where) !== description);
+        const deletedBreak = where.kind === 'program' && this.breakpoints.delete(where.address);
+        if (!deletedBreak && this.watchpoints.length === before) {
+            throw new DebuggerError(`no breakpoint or watchpoint at ${description}`);
+        }
+        this.print(`deleted ${description}`);
+    }
+
+    cmd_step([count]) {
+        this.requireRunning();
+        const n = count === undefined ? 1 : Number(this.evaluate(count));
+        if (!(n > 0)) throw new DebuggerError('step count must be positive');
+        this.runFor(n, true);
+    }
+
+    cmd_continue() {
+        this.requireRunning();
+        this.runFor(this.runLimit, true);
+    }
+
+    cmd_run() {
+        this.requireRunning();
+        this.runFor(this.runLimit, false);
+    }
+
+    cmd_examine([text, count]) {
+        if (!text) throw new DebuggerError('examine needs a location');
+        const where = this.parseWhere(text);
+        const n = count === undefined ? 1 : Number(this.evaluate(count));
+        if (where.kind === 'register') {
+            const value = this.read(where);
+            this.print(`Reg ${where.name} = ${this.formatWord(value)} = ${toSigned(value, this.cpu.wordSize)}`);
+        } else if (where.kind === 'data') {
+            const { numBanks, wordsPerBank } = this.cpu.dataMemory;
+            for (let i = 0; i < n; i++) {
+                const linear = where.bank * wordsPerBank + where.word + i;
+                if (linear >= numBanks * wordsPerBank) break;
+                const bank = Math.floor(linear / wordsPerBank);
+                const word = linear % wordsPerBank;
+                const value = this.cpu.peekDataWord(bank, word);
+                this.print(`Mem[${bank},${word}] = ${this.formatWord(value)} = ${toSigned(value, this.cpu.wordSize)}`);
+            }
+        } else {
+            const numWords = this.cpu.memory.size / this.cpu.wordSize;
+            for (let i = 0; i < n && where.address + i < numWords; i++) {
+                this.print(this.formatProgramWord(where.address + i));
+            }
+        }
+    }
+
+    cmd_deposit([text, ...valueWords]) {
+        if (!text || valueWords.length === 0) throw new DebuggerError('deposit needs a location and a value');
+        const where = this.parseWhere(text);
+        const valueText = valueWords.join(' ');
+        const instruction = where.kind === 'program' ? this.assembleInstruction(valueText, where.address) : null;
+        const value = instruction !== null
+            ? instruction
+            : BigInt.asUintN(this.cpu.wordSize, this.evaluate(valueText));
+        if (where.kind === 'register') this.cpu.depositRegister(where.name, value);
+        else if (where.kind === 'data') this.cpu.depositDataWord(where.bank, where.word, value);
+        else this.cpu.depositWord(where.address, value);
+        this.refreshWatchpoints();
+        this.cmd_examine([text]);
+    }
+
+    cmd_watch([text]) {
+        if (!text) throw new DebuggerError('watch needs a program address or data word');
+        const where = this.parseWhere(text);
+        if (where.kind === 'register') throw new DebuggerError('registers cannot be watched');
+        this.watchpoints.push({ where, value: this.read(where) });
+        this.print(`watching ${this.describeWhere(where)}`);
+    }
+
+    cmd_info() {
+        if (this.breakpoints.size === 0 && this.watchpoints.length === 0) {
+            this.print('no breakpoints or watchpoints');
+        }
+        for (const address of [...this.breakpoints].sort((a, b) => a - b)) {
+            this.print(`breakpoint at ${this.describeAddress(address)}`);
+        }
+        for (const watch of this.watchpoints) {
+            this.print(`watchpoint on ${this.describeWhere(watch.where)} (now ${this.formatValue(watch.where, watch.value)})`);
+        }
+    }
+
+    cmd_status() {
+        this.showStatus();
+    }
+
+    cmd_list([loc, count]) {
+        const numWords = this.cpu.memory.size / this.cpu.wordSize;
+        const n = count === undefined ? 10 : Number(this.evaluate(count));
+        const start = loc === undefined ? Math.max(0, this.cpu.pc - 3) : this.parseAddress(loc);
+        for (let address = start; address < Math.min(numWords, start + n); address++) {
+            this.print(this.formatProgramWord(address));
+        }
+    }
+
+    cmd_help() {
+        this.print(HELP);
+    }
+
+    cmd_quit() {
+        this.quit = true;
+    }
+}
+
+/**
+ * Reads debugger commands line by line until `quit` or the end of input.
+ * @param {Debugger} dbg
+ * @param {object} [options={}]
+ * @param {stream.Readable} [options.input=process.stdin]
+ * @param {stream.Writable} [options.output=process.stdout]
+ * @returns {Promise<void>} Settles when the session ends.
+ */
+function startRepl(dbg, options = {}) {
+    const input = options.input || process.stdin;
+    const output = options.output || process.stdout;
+    const rl = readline.createInterface({ input, output, prompt: '(dlmem) ' });
+    return new Promise(resolve => {
+        rl.on('line', line => {
+            const text = dbg.execute(line);
+            if (text) output.write(text + '\n');
+            if (dbg.quit) rl.close();
+            else rl.prompt();
+        });
+        rl.on('close', resolve);
+        rl.prompt();
+    });
+}
+
+module.exports = {
+    Debugger,
+    DebuggerError,
+    startRepl,
+};
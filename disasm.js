@@ -0,0 +1,208 @@
+/**
+ * disasm.js
+ *
+ * Memory images and their disassembly.
+ *
+ * A memory image is a JSON file holding main memory by logical address, the
+ * program's base and entry addresses, its word format, the machine's
+ * geometry (see geometry.js), its labels and the non-zero words of data memory. `dlmem.js asm --image` writes the image of an assembled
+ * program and `dlmem.js run --dump-image` the memory left behind by a run, so
+ * code rewritten by STP can be inspected; `dlmem.js disasm` prints either
+ * back as assembly text, with labels in place of addresses.
+ */
+
+const { WORD_FORMATS, disassemble } = require('./isa');
+const { DEFAULT_GEOMETRY, makeGeometry } = require('./geometry');
+
+const IMAGE_FORMAT = 'dlmem-image';
+const IMAGE_VERSION = 1;
+
+// The absolute address of every label in an assembler symbol table.
+function labelAddresses(symbols) {
+    const labels = {};
+    for (const [name, symbol] of Object.entries(symbols)) {
+        if (symbol.kind === 'label') labels[name] = symbol.address;
+    }
+    return labels;
+}
+
+/**
+ * Indexes labels by address. Where several labels share an address the first
+ * one defined names it.
+ * @param {Object<string, number>} labels Label name to absolute address.
+ * @returns {Map<number, string>}
+ */
+function labelIndex(labels) {
+    const byAddress = new Map();
+    for (const [name, address] of Object.entries(labels)) {
+        if (!byAddress.has(address)) byAddress.set(address, name);
+    }
+    return byAddress;
+}
+
+/**
+ * The memory image of an assembled program, as the loader would leave it.
+ * @param {object} image Output of `assemble()`.
+ * @param {number} [numWords] Words of main memory; the geometry's by default.
+ * @returns {object}
+ */
+function imageFromAssembly(image, numWords) {
+    const geometry = image.geometry || DEFAULT_GEOMETRY;
+    const memory = new Array(numWords !== undefined ? numWords : geometry.memoryWords).fill(0n);
+    image.words.forEach((word, i) => { memory[image.baseAddress + i] = word; });
+    return {
+        baseAddress: image.baseAddress,
+        entry: image.entry,
+        wordFormat: image.wordFormat || 'sequential',
+        geometry,
+        labels: labelAddresses(image.symbols),
+        memory,
+        data: image.data.filter(d => d.value !== 0n).map(({ bank, word, value }) => ({ bank, word, value })),
+    };
+}
+
+/**
+ * The memory image of a machine in its current state.
+ * @param {SimpleCPU} cpu
+ * @returns {object}
+ */
+function imageFromMachine(cpu) {
+    const state = cpu.getState();
+    const data = [];
+    state.dataMemory.forEach((words, bank) => words.forEach((value, word) => {
+        if (value !== 0n) data.push({ bank, word, value });
+    }));
+    return {
+        baseAddress: state.baseAddress,
+        entry: cpu.entry,
+        pc: state.pc,
+        wordFormat: cpu.wordFormat,
+        geometry: cpu.geometry,
+        labels: Object.fromEntries([...cpu.labels].map(([address, name]) => [name, address])),
+        memory: state.programMemory,
+        data,
+    };
+}
+
+// A word as hex digits, enough for the geometry's word length.
+const toHex = (value, geometry) => value.toString(16).toUpperCase().padStart(Math.ceil(geometry.wordSize / 4), '0');
+
+// Serialises a memory image as JSON, words as hex strings.
+function writeImage(image) {
+    const geometry = image.geometry || DEFAULT_GEOMETRY;
+    return JSON.stringify({
+        format: IMAGE_FORMAT,
+        version: IMAGE_VERSION,
+        wordSize: geometry.wordSize,
+        ...image,
+        geometry,
+        memory: image.memory.map(word => toHex(word, geometry)),
+        data: image.data.map(d => ({ ...d, value: toHex(d.value, geometry) })),
+    }, null, 2) + '\n';
+}
+
+/**
+ * Parses a memory image written by `writeImage()`.
+ * @param {string} text
+ * @returns {object}
+ * @throws {Error} If the text is not a memory image or its geometry is invalid.
+ */
+function readImage(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`not a memory image: ${error.message}`);
+    }
+    if (!json || json.format !== IMAGE_FORMAT) {
+        throw new Error(`not a memory image (expected format '${IMAGE_FORMAT}')`);
+    }
+    if (json.version !== IMAGE_VERSION) {
+        throw new Error(`unsupported memory image version ${json.version}`);
+    }
+    // Images from before geometries were recorded are of the default machine.
+    let geometry;
+    try {
+        geometry = makeGeometry(json.geometry || {});
+    } catch (error) {
+        throw new Error(`memory image has a bad ${error.message}`);
+    }
+    if (json.wordSize !== geometry.wordSize) {
+        throw new Error(`memory image has ${json.wordSize}-bit words but a geometry of ${geometry.wordSize}-bit words`);
+    }
+    const wordFormat = json.wordFormat || 'sequential';
+    if (!WORD_FORMATS[wordFormat]) {
+        throw new Error(`unknown word format '${wordFormat}' in memory image`);
+    }
+    const parseWord = hex => {
+        if (!/^[0-9A-Fa-f]+$/.test(hex)) throw new Error(`bad word '${hex}' in memory image`);
+        return BigInt('0x' + hex);
+    };
+    return {
+        baseAddress: json.baseAddress || 0,
+        entry: json.entry,
+        pc: json.pc,
+        wordFormat,
+        geometry,
+        labels: json.labels || {},
+        memory: (json.memory || []).map(parseWord),
+        data: (json.data || []).map(d => ({ bank: d.bank, word: d.word, value: parseWord(d.value) })),
+    };
+}
+
+/**
+ * Disassembles a memory image. Zero words are skipped unless they carry a
+ * label or `all` is set; `...` marks each gap.
+ * @param {object} image A memory image.
+ * @param {object} [options={}]
+ * @param {boolean} [options.all=false] List every word of main memory.
+ * @returns {string}
+ */
+function formatDisassembly(image, options = {}) {
+    const labels = labelIndex(image.labels);
+    const geometry = image.geometry || DEFAULT_GEOMETRY;
+    const context = { labelAt: address => labels.get(address), baseAddress: image.baseAddress, wordFormat: image.wordFormat, geometry };
+    const labelWidth = Math.max(0, ...[...labels.values()].map(name => name.length + 1));
+
+    const out = [];
+    const facts = [`base address ${image.baseAddress}`];
+    if (image.entry !== undefined) facts.push(`entry ${image.entry}`);
+    if (image.pc !== undefined) facts.push(`pc ${image.pc}`);
+    if (image.wordFormat && image.wordFormat !== 'sequential') facts.push(`${image.wordFormat} word format`);
+    if (geometry.wordSize !== DEFAULT_GEOMETRY.wordSize) facts.push(`${geometry.wordSize}-bit words`);
+    out.push(`; ${facts.join(', ')}`);
+    out.push(`${'Addr'.padStart(5)}  ${'Hex'.padEnd(Math.ceil(geometry.wordSize / 4))}  ${''.padEnd(labelWidth)}  Instruction`);
+    let skipped = false;
+    image.memory.forEach((word, address) => {
+        const label = labels.get(address);
+        if (!options.all && word === 0n && !label) {
+            skipped = true;
+            return;
+        }
+        if (skipped) out.push('  ...');
+        skipped = false;
+        const labelText = label ? `${label}:` : '';
+        out.push(`${String(address).padStart(5)}  ${toHex(word, geometry)}  ${labelText.padEnd(labelWidth)}  ${disassemble(word, context)}`.trimEnd());
+    });
+    if (skipped) out.push('  ...');
+
+    if (image.data.length > 0) {
+        out.push('');
+        out.push('; data memory (non-zero words)');
+        for (const { bank, word, value } of image.data) {
+            out.push(`${`${bank},${word}`.padStart(5)}  ${toHex(value, geometry)}  ${BigInt.asIntN(geometry.wordSize, value)}`);
+        }
+    }
+    return out.join('\n') + '\n';
+}
+
+module.exports = {
+    IMAGE_FORMAT,
+    labelAddresses,
+    labelIndex,
+    imageFromAssembly,
+    imageFromMachine,
+    writeImage,
+    readImage,
+    formatDisassembly,
+};
@@ -0,0 +1,535 @@
+#!/usr/bin/env node
+/**
+ * dlmem.js
+ *
+ * Command-line runner for the cpu2m3.js simulator. Assembles programs from
+ * disk and either runs them or prints the assembled listing, and
+ * disassembles memory images.
+ *
+ * Usage:
+ *   node dlmem.js run <file.asm> [--max-steps N] [--trace=none|instr|bit]
+ *                     [--trace-json FILE] [--trace-json-level=none|instr|bit]
+ *                     [--listing FILE] [--dump-image FILE] [--profile FILE]
+ *                     [--optimize] [--tanks N] [--geometry SPEC]
+ *                     [--tape FILE] [--tape-format numbers|rows] [--tape-ticks N]
+ *                     [--teleprinter ascii|ita2|edsac] [--faults SPEC]
+ *                     [--ecc none|parity|secded] [--physical SPEC]
+ *   node dlmem.js asm <file.asm> [--listing FILE] [--image FILE] [--optimize]
+ *                     [--tanks N] [--geometry SPEC]
+ *   node dlmem.js disasm <image.json> [--all]
+ *   node dlmem.js debug <file.asm> [--max-steps N] [--trace=none|instr|bit]
+ *                     [--tanks N] [--geometry SPEC]
+ *                     [--tape FILE] [--tape-format numbers|rows] [--tape-ticks N]
+ *                     [--teleprinter ascii|ita2|edsac] [--faults SPEC]
+ *                     [--ecc none|parity|secded] [--physical SPEC]
+ *   node dlmem.js --help
+ *
+ * `asm` prints the assembly listing (addresses, machine words in binary,
+ * octal and hex, source lines and the symbol table), or writes it to the
+ * `--listing` file. Diagnostics go to stderr as `file:line:column: message`.
+ *
+ * `--image` and `--dump-image` write a memory image (see disasm.js): the
+ * assembled program, or main and data memory as the run left them. `disasm`
+ * prints an image as assembly text; `--all` includes the zero words.
+ *
+ * `--profile` writes a rotational latency report (see profiler.js): where
+ * the run's ticks went, by category, address and label, with memory heatmaps.
+ *
+ * `--optimize` places the program's words to cut rotational waits (see
+ * optimize.js) before running or listing it, and reports the predicted and
+ * measured savings on stderr.
+ *
+ * `--tanks` builds main memory from N delay lines that share its words
+ * (see createMachine() in cpu2m3.js); a word then only waits for its own tank.
+ *
+ * `--geometry` sets the machine's shape as `name=value` pairs, such as
+ * `wordSize=32,wordsPerBank=64` (see geometry.js).
+ *
+ * `--tape` puts a paper tape in the reader for RDN, RDC and JTE (see
+ * tape.js): a text file of numbers, or with `--tape-format rows` a binary
+ * file of 5-bit rows. `--tape-ticks` sets the ticks to read one character.
+ *
+ * `--teleprinter` chooses the character code PCH types in (see
+ * teleprinter.js); printed text goes to stdout.
+ *
+ * `--faults` builds the machine's delay lines with a seeded fault model (see
+ * faults.js), given as `name=value` pairs such as
+ * `seed=7,flipRate=1e-6,stuck1=bank3:5:17`. A run reports the faults
+ * injected and read on stderr.
+ *
+ * `--ecc` keeps parity or a SECDED code with every word of main and data
+ * memory (see ecc.js). An error it cannot correct is a machine check; a run
+ * reports the errors it corrected on stderr.
+ *
+ * `--physical` gives the delay lines a medium, length and pulse rate (see
+ * physical.js), as `name=value` pairs such as
+ * `medium=wire,pulseRate=500000,temperatureDrift=2` (which, with
+ * `--tanks 16`, runs the examples to the end). A run reports its time
+ * in microseconds and milliseconds next to the ticks, and the lines' timing
+ * and signal margins; a failed margin is a machine fault.
+ *
+ * `debug` loads a program and reads debugger commands from stdin (see
+ * debugger.js); `--max-steps` bounds each `continue` or `run`.
+ *
+ * `--trace-json` writes every trace event as one JSON object per line
+ * (at `--trace-json-level`, default instr) so runs can be diffed.
+ *
+ * `--help` (or `-h`) prints the usage summary.
+ *
+ * Exit codes let scripts tell the outcomes apart:
+ *   0  program halted with HLT (or assembled cleanly, or printed the usage)
+ *   1  bad command line, or a file that cannot be read or written
+ *   2  assembly error
+ *   3  unknown opcode executed
+ *   4  cycle limit exhausted before HLT
+ *   5  machine fault (return stack overflow or underflow, end of tape, a
+ *      machine check, or a failed timing or signal margin)
+ */
+
+const fs = require('fs');
+const { createMachine, loadProgram, runProgram } = require('./cpu2m3');
+const { AssemblyError, assemble, formatDiagnostic, formatListing } = require('./assembler');
+const { DEFAULT_GEOMETRY, parseGeometry } = require('./geometry');
+const { operandFormats } = require('./isa');
+const { TAPE_FORMATS, TICKS_PER_CHARACTER, PaperTapeReader } = require('./tape');
+const { CHARACTER_CODES, Teleprinter } = require('./teleprinter');
+const { parseFaults } = require('./faults');
+const { ECC_MODES } = require('./ecc');
+const { parsePhysical } = require('./physical');
+const { TRACE_LEVELS, maxTraceLevel, attachConsoleTrace, attachJsonTrace } = require('./trace');
+const { imageFromAssembly, imageFromMachine, writeImage, readImage, formatDisassembly } = require('./disasm');
+const { Debugger, startRepl } = require('./debugger');
+const { Profiler } = require('./profiler');
+const { optimizePlacement, formatOptimization } = require('./optimize');
+
+const EXIT_CODES = {
+    OK: 0,
+    USAGE: 1,
+    ASSEMBLY_ERROR: 2,
+    UNKNOWN_OPCODE: 3,
+    CYCLE_LIMIT: 4,
+    MACHINE_FAULT: 5,
+};
+
+const DEFAULT_MAX_STEPS = 100000;
+
+const USAGE = `Usage:
+  node dlmem.js run <file.asm> [--max-steps N] [--trace=none|instr|bit]
+                    [--trace-json FILE] [--trace-json-level=none|instr|bit]
+                    [--listing FILE] [--dump-image FILE] [--profile FILE]
+                    [--optimize] [--tanks N] [--geometry SPEC]
+                    [--tape FILE] [--tape-format numbers|rows] [--tape-ticks N]
+                    [--teleprinter ascii|ita2|edsac] [--faults SPEC]
+                    [--ecc none|parity|secded] [--physical SPEC]
+  node dlmem.js asm <file.asm> [--listing FILE] [--image FILE] [--optimize]
+                    [--tanks N] [--geometry SPEC]
+  node dlmem.js disasm <image.json> [--all]
+  node dlmem.js debug <file.asm> [--max-steps N] [--trace=none|instr|bit]
+                    [--tanks N] [--geometry SPEC]
+                    [--tape FILE] [--tape-format numbers|rows] [--tape-ticks N]
+                    [--teleprinter ascii|ita2|edsac] [--faults SPEC]
+                    [--ecc none|parity|secded] [--physical SPEC]
+  node dlmem.js --help`;
+
+const COMMANDS = ['run', 'asm', 'disasm', 'debug'];
+
+// Options that take no value.
+const FLAGS = new Set(['all', 'optimize', 'help']);
+
+class UsageError extends Error {}
+
+// A file that could not be written; main() reports it as `file: message`.
+class OutputError extends Error {
+    constructor(file, error) {
+        super(`${file}: ${error.message}`);
+    }
+}
+
+function writeOutput(file, text) {
+    try {
+        fs.writeFileSync(file, text);
+    } catch (error) {
+        throw new OutputError(file, error);
+    }
+}
+
+function parseTraceLevel(name, value) {
+    if (TRACE_LEVELS[value] === undefined) {
+        throw new UsageError(`--${name} must be one of ${Object.keys(TRACE_LEVELS).join(', ')}, got '${value}'`);
+    }
+    return value;
+}
+
+// Splits argv into the command, the source file and the options.
+function parseArgs(argv) {
+    const positional = [];
+    const options = {
+        maxSteps: DEFAULT_MAX_STEPS,
+        trace: 'none',
+        traceJson: null,
+        traceJsonLevel: 'instr',
+        listing: null,
+        image: null,
+        dumpImage: null,
+        profile: null,
+        all: false,
+        optimize: false,
+        tanks: 1,
+        geometry: DEFAULT_GEOMETRY,
+        tape: null,
+        tapeFormat: 'numbers',
+        tapeTicks: TICKS_PER_CHARACTER,
+        teleprinter: 'ascii',
+        faults: null,
+        ecc: 'none',
+        physical: null,
+        help: false,
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i] === '-h' ? '--help' : argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        let [name, value] = arg.slice(2).split('=', 2);
+        if (FLAGS.has(name)) {
+            options[name] = true;
+            continue;
+        }
+        if (value === undefined) {
+            value = argv[++i];
+        }
+        if (value === undefined) {
+            throw new UsageError(`Missing value for --${name}`);
+        }
+        switch (name) {
+            case 'max-steps':
+                options.maxSteps = Number(value);
+                if (!Number.isInteger(options.maxSteps) || options.maxSteps <= 0) {
+                    throw new UsageError(`--max-steps must be a positive integer, got '${value}'`);
+                }
+                break;
+            case 'trace':
+                options.trace = parseTraceLevel(name, value);
+                break;
+            case 'trace-json':
+                options.traceJson = value;
+                break;
+            case 'trace-json-level':
+                options.traceJsonLevel = parseTraceLevel(name, value);
+                break;
+            case 'listing':
+                options.listing = value;
+                break;
+            case 'image':
+                options.image = value;
+                break;
+            case 'dump-image':
+                options.dumpImage = value;
+                break;
+            case 'profile':
+                options.profile = value;
+                break;
+            case 'tanks':
+                options.tanks = Number(value);
+                if (!Number.isInteger(options.tanks) || options.tanks <= 0) {
+                    throw new UsageError(`--tanks must be a positive integer, got '${value}'`);
+                }
+                break;
+            case 'geometry':
+                try {
+                    options.geometry = parseGeometry(value);
+                    operandFormats('sequential', options.geometry); // the opcodes must fit
+                } catch (error) {
+                    throw new UsageError(error.message);
+                }
+                break;
+            case 'tape':
+                options.tape = value;
+                break;
+            case 'tape-format':
+                if (!TAPE_FORMATS.includes(value)) {
+                    throw new UsageError(`--tape-format must be one of ${TAPE_FORMATS.join(', ')}, got '${value}'`);
+                }
+                options.tapeFormat = value;
+                break;
+            case 'tape-ticks':
+                options.tapeTicks = Number(value);
+                if (!Number.isInteger(options.tapeTicks) || options.tapeTicks < 0) {
+                    throw new UsageError(`--tape-ticks must be a non-negative integer, got '${value}'`);
+                }
+                break;
+            case 'teleprinter':
+                if (!CHARACTER_CODES[value]) {
+                    throw new UsageError(`--teleprinter must be one of ${Object.keys(CHARACTER_CODES).join(', ')}, got '${value}'`);
+                }
+                options.teleprinter = value;
+                break;
+            case 'ecc':
+                if (!ECC_MODES.includes(value)) {
+                    throw new UsageError(`--ecc must be one of ${ECC_MODES.join(', ')}, got '${value}'`);
+                }
+                options.ecc = value;
+                break;
+            case 'faults':
+                try {
+                    options.faults = parseFaults(value);
+                } catch (error) {
+                    throw new UsageError(error.message);
+                }
+                break;
+            case 'physical':
+                try {
+                    options.physical = parsePhysical(value);
+                } catch (error) {
+                    throw new UsageError(error.message);
+                }
+                break;
+            default:
+                throw new UsageError(`Unknown option --${name}`);
+        }
+    }
+
+    if (options.help) {
+        return { command: 'help', options };
+    }
+    if (options.geometry.memoryWords % options.tanks !== 0) {
+        throw new UsageError(`--tanks must divide the ${options.geometry.memoryWords} words of main memory, got ${options.tanks}`);
+    }
+    if (options.faults) {
+        try {
+            options.faults.check(options.geometry, options.tanks);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+    if (positional.length !== 2) {
+        throw new UsageError('Expected a command and a file.');
+    }
+    const [command, file] = positional;
+    if (!COMMANDS.includes(command)) {
+        throw new UsageError(`Unknown command '${command}'`);
+    }
+    return { command, file, options };
+}
+
+// Assembles source text, returning the image or null after reporting errors.
+// Warnings and errors go to stderr; with `options.optimize` the placed program
+// is returned instead, unless it behaved differently from the program as
+// written. A listing is written if one was asked for.
+function assembleSource(file, source, options, listingFile) {
+    let image;
+    try {
+        image = assemble(source, { ...options, file });
+    } catch (error) {
+        if (!(error instanceof AssemblyError)) throw error;
+        error.diagnostics.forEach(d => console.error(formatDiagnostic(d)));
+        return null;
+    }
+    image.warnings.forEach(d => console.error(formatDiagnostic(d)));
+    if (options.optimize) {
+        try {
+            const result = optimizePlacement(source, image, { ...options, file });
+            console.error(formatOptimization(result).trimEnd());
+            image = result.image;
+        } catch (error) {
+            if (!(error instanceof AssemblyError)) throw error;
+            console.error(`${file}: the program cannot be placed; keeping the layout as written`);
+            error.diagnostics.forEach(d => console.error(formatDiagnostic(d)));
+        }
+    }
+    if (listingFile) {
+        writeOutput(listingFile, formatListing(image));
+    }
+    return image;
+}
+
+function runCommand(file, source, options) {
+    const jsonLevel = options.traceJson ? options.traceJsonLevel : 'none';
+    const cpu = createMachine({
+        traceLevel: maxTraceLevel(maxTraceLevel(options.trace, jsonLevel), options.profile ? 'instr' : 'none'),
+        logger: null,
+        teleprinter: new Teleprinter({ code: options.teleprinter, sink: text => process.stdout.write(text) }),
+        programTanks: options.tanks,
+        geometry: options.geometry,
+        tape: options.tapeReader,
+        faults: options.faults,
+        ecc: options.ecc,
+        physical: options.physical,
+    });
+    if (options.trace !== 'none') {
+        attachConsoleTrace(cpu, { level: options.trace });
+    }
+    let traceFd = null;
+    if (options.traceJson) {
+        try {
+            traceFd = fs.openSync(options.traceJson, 'w');
+        } catch (error) {
+            throw new OutputError(options.traceJson, error);
+        }
+        attachJsonTrace(cpu, line => {
+            try {
+                fs.writeSync(traceFd, line);
+            } catch (error) {
+                throw new OutputError(options.traceJson, error);
+            }
+        }, { level: jsonLevel });
+    }
+    const profiler = options.profile ? new Profiler(cpu) : null;
+    try {
+        const code = assembleAndRun(cpu, file, source, options);
+        if (profiler && code !== EXIT_CODES.ASSEMBLY_ERROR) {
+            writeOutput(options.profile, profiler.report());
+        }
+        return code;
+    } finally {
+        if (traceFd !== null) fs.closeSync(traceFd);
+    }
+}
+
+function assembleAndRun(cpu, file, source, options) {
+    const image = assembleSource(file, source, {
+        geometry: cpu.geometry,
+        numWords: cpu.memory.size / cpu.wordSize,
+        numBanks: cpu.dataMemory.numBanks,
+        wordsPerBank: cpu.dataMemory.wordsPerBank,
+        log: message => cpu.log('instr', message),
+        optimize: options.optimize,
+        maxSteps: options.maxSteps,
+        programTanks: options.tanks,
+        tape: options.tapeReader,
+    }, options.listing);
+    if (!image) return EXIT_CODES.ASSEMBLY_ERROR;
+
+    loadProgram(cpu, image);
+    const result = runProgram(cpu, { cycleLimit: options.maxSteps });
+    const elapsed = options.physical ? ` (${options.physical.formatElapsed(result.totalTicks)})` : '';
+    console.error(`${result.haltReason}: pc=${result.pc} steps=${result.steps} ticks=${result.totalTicks}${elapsed}`);
+    if (options.faults) console.error(options.faults.summary());
+    if (options.ecc !== 'none') console.error(`ecc: ${result.correctedErrors} error(s) corrected`);
+    if (options.physical) console.error(options.physical.summary(cpu, result.totalTicks));
+    if (options.dumpImage) {
+        writeOutput(options.dumpImage, writeImage(imageFromMachine(cpu)));
+    }
+
+    switch (result.haltReason) {
+        case 'HLT': return EXIT_CODES.OK;
+        case 'UNKNOWN_OPCODE': return EXIT_CODES.UNKNOWN_OPCODE;
+        case 'CYCLE_LIMIT': return EXIT_CODES.CYCLE_LIMIT;
+        default: return EXIT_CODES.MACHINE_FAULT;
+    }
+}
+
+function asmCommand(file, source, options) {
+    const image = assembleSource(file, source, {
+        optimize: options.optimize,
+        maxSteps: options.maxSteps,
+        programTanks: options.tanks,
+        geometry: options.geometry,
+    }, options.listing);
+    if (!image) return EXIT_CODES.ASSEMBLY_ERROR;
+    if (options.image) {
+        writeOutput(options.image, writeImage(imageFromAssembly(image)));
+    }
+    if (!options.listing && !options.image) {
+        process.stdout.write(formatListing(image));
+    }
+    return EXIT_CODES.OK;
+}
+
+function disasmCommand(file, text, options) {
+    let image;
+    try {
+        image = readImage(text);
+    } catch (error) {
+        console.error(`${file}: ${error.message}`);
+        return EXIT_CODES.USAGE;
+    }
+    process.stdout.write(formatDisassembly(image, { all: options.all }));
+    return EXIT_CODES.OK;
+}
+
+// Loads the program and hands it to the debugger; settles when the session ends.
+async function debugCommand(file, source, options) {
+    const cpu = createMachine({
+        traceLevel: options.trace,
+        logger: null,
+        programTanks: options.tanks,
+        geometry: options.geometry,
+        tape: options.tapeReader,
+        teleprinter: new Teleprinter({ code: options.teleprinter }),
+        faults: options.faults,
+        ecc: options.ecc,
+        physical: options.physical,
+    });
+    if (options.trace !== 'none') {
+        attachConsoleTrace(cpu, { level: options.trace });
+    }
+    const image = assembleSource(file, source, {
+        geometry: cpu.geometry,
+        numWords: cpu.memory.size / cpu.wordSize,
+        numBanks: cpu.dataMemory.numBanks,
+        wordsPerBank: cpu.dataMemory.wordsPerBank,
+    }, null);
+    if (!image) return EXIT_CODES.ASSEMBLY_ERROR;
+
+    loadProgram(cpu, image);
+    const dbg = new Debugger(cpu, { symbols: image.symbols, runLimit: options.maxSteps });
+    console.log(dbg.execute('status'));
+    await startRepl(dbg);
+    return EXIT_CODES.OK;
+}
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`${error.message}\n${USAGE}`);
+        return EXIT_CODES.USAGE;
+    }
+    if (args.command === 'help') {
+        console.log(USAGE);
+        return EXIT_CODES.OK;
+    }
+
+    let source;
+    try {
+        source = fs.readFileSync(args.file, 'utf8');
+    } catch (error) {
+        console.error(`${args.file}: ${error.message}`);
+        return EXIT_CODES.USAGE;
+    }
+    if (args.options.tape) {
+        try {
+            args.options.tapeReader = PaperTapeReader.fromFile(args.options.tape, {
+                format: args.options.tapeFormat,
+                ticksPerCharacter: args.options.tapeTicks,
+            });
+        } catch (error) {
+            console.error(`${args.options.tape}: ${error.message}`);
+            return EXIT_CODES.USAGE;
+        }
+    }
+
+    try {
+        switch (args.command) {
+            case 'run': return runCommand(args.file, source, args.options);
+            case 'asm': return asmCommand(args.file, source, args.options);
+            case 'debug': return debugCommand(args.file, source, args.options);
+            default: return disasmCommand(args.file, source, args.options);
+        }
+    } catch (error) {
+        if (!(error instanceof OutputError)) throw error;
+        console.error(error.message);
+        return EXIT_CODES.USAGE;
+    }
+}
+
+module.exports = { EXIT_CODES, parseArgs, main };
+
+if (require.main === module) {
+    Promise.resolve(main(process.argv.slice(2))).then(code => { process.exitCode = code; });
+}
@@ -0,0 +1,111 @@
+/**
+ * ecc.js
+ *
+ * Error checking for the words of SimpleCPU's main and data memory
+ * (cpu2m3.js), after the parity bit UNIVAC carried with every character.
+ * The CPU computes a word's check bits as it writes the word and checks them
+ * on every fetch and on the `LDA`, `LDB`, `LDP` and `COL` reads:
+ *  - parity: one even-parity bit. Any odd number of flipped bits is detected;
+ *    none can be corrected.
+ *  - secded: a Hamming code with an overall parity bit (single error
+ *    correction, double error detection). One flipped bit, in the word or in
+ *    its check bits, is corrected; two are detected.
+ *
+ * A syndrome is reported as one number: the overall parity check in bit 0
+ * and, for secded, the Hamming syndrome above it, which is the position of a
+ * single flipped bit in the code word (data bits fill the positions that are
+ * not powers of two, from position 3 up).
+ */
+
+const ECC_MODES = ['none', 'parity', 'secded'];
+
+// The number of 1 bits in a value, modulo 2.
+function parity(value) {
+    let result = 0;
+    for (let v = BigInt(value); v > 0n; v >>= 1n) result ^= Number(v & 1n);
+    return result;
+}
+
+class ErrorCode {
+    /**
+     * @param {string} mode 'parity' or 'secded'.
+     * @param {number} wordSize Bits in a word.
+     * @throws {Error} If the mode is unknown.
+     */
+    constructor(mode, wordSize) {
+        if (mode !== 'parity' && mode !== 'secded') {
+            throw new Error(`ecc: unknown mode '${mode}' (expected parity or secded)`);
+        }
+        this.mode = mode;
+        this.wordSize = wordSize;
+        if (mode === 'secded') {
+            // Hamming check bits for the word, at positions 1, 2, 4, ...
+            let hammingBits = 1;
+            while (2 ** hammingBits < wordSize + hammingBits + 1) hammingBits++;
+            this.hammingBits = hammingBits;
+            this.positions = [];
+            for (let position = 3; this.positions.length < wordSize; position++) {
+                if ((position & (position - 1)) !== 0) this.positions.push(position);
+            }
+            this.bitAt = new Map(this.positions.map((position, bit) => [position, bit]));
+        }
+    }
+
+    // Check bits stored with each word.
+    get checkBits() {
+        return this.mode === 'parity' ? 1 : this.hammingBits + 1;
+    }
+
+    // XOR of the code word positions of a word's 1 bits.
+    hamming(value) {
+        let syndrome = 0;
+        this.positions.forEach((position, bit) => {
+            if ((value >> BigInt(bit)) & 1n) syndrome ^= position;
+        });
+        return syndrome;
+    }
+
+    /**
+     * The check bits of a word: its parity, or the Hamming bits above the
+     * overall parity bit.
+     * @param {bigint} value
+     * @returns {number}
+     */
+    encode(value) {
+        if (this.mode === 'parity') return parity(value);
+        const hamming = this.hamming(value);
+        return (hamming << 1) | (parity(value) ^ parity(hamming));
+    }
+
+    /**
+     * Checks a word read from memory against the check bits written with it.
+     * @param {bigint} value
+     * @param {number} check
+     * @returns {{status: string, value: bigint, syndrome: number, bit?: number}}
+     *          `status` is 'ok', 'corrected' (`value` is the corrected word and
+     *          `bit` the data bit flipped back, if the error was not in the
+     *          check bits) or 'error' for an error that cannot be corrected.
+     */
+    decode(value, check) {
+        if (this.mode === 'parity') {
+            const syndrome = parity(value) ^ check;
+            return { status: syndrome === 0 ? 'ok' : 'error', value, syndrome };
+        }
+        const hamming = this.hamming(value) ^ (check >> 1);
+        const overall = parity(value) ^ parity(check);
+        const syndrome = (hamming << 1) | overall;
+        if (syndrome === 0) return { status: 'ok', value, syndrome };
+        if (overall === 0) return { status: 'error', value, syndrome }; // two bits flipped
+        if (hamming === 0 || (hamming & (hamming - 1)) === 0) {
+            return { status: 'corrected', value, syndrome }; // a check bit flipped
+        }
+        const bit = this.bitAt.get(hamming);
+        if (bit === undefined) return { status: 'error', value, syndrome };
+        return { status: 'corrected', value: value ^ (1n << BigInt(bit)), syndrome, bit };
+    }
+}
+
+module.exports = {
+    ECC_MODES,
+    ErrorCode,
+};
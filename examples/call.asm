@@ -0,0 +1,16 @@
+; The Wheeler Jump demo (wheeler.asm) with hardware calls: CALL pushes the
+; return address on the return stack and RET pops it, so the subroutine
+; needs no return jump planted in its own code. Prints 142.
+START:
+    LAI 100          ; argument
+    STO 0,2          ; pass it in data memory [0,2]
+    CALL ADD_42_SUB
+    PRA              ; prints 142
+    HLT
+
+ADD_42_SUB:
+    LDA 0,2          ; the subroutine's real work
+    LBI 42
+    ADD
+    STO 0,2
+    RET
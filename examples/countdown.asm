@@ -0,0 +1,13 @@
+; Count down from 5 to 1, printing each value.
+; Every pass round the loop takes two jumps, so this is dominated by
+; waiting for words to circulate back under the read head.
+    LAI 5
+    LBI 1
+    NEG              ; B = -1
+LOOP:
+    PRA
+    ADD              ; A = A - 1
+    JZA DONE
+    JMP LOOP
+DONE:
+    HLT
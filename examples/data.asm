@@ -0,0 +1,17 @@
+; Directive demo: constants, a preloaded data table and a word in main memory.
+; Prints 11, -22 and their sum, -11.
+.EQU TABLE, 2           ; data bank holding the table
+.EQU SUM, 3             ; where the sum goes in that bank
+START:
+    LDA TABLE, 0
+    PRA
+    LDA TABLE, 1
+    PRA
+    LDB TABLE, 0
+    ADD
+    STO TABLE, SUM
+    LDA TABLE, SUM
+    PRA
+    HLT
+.DATA TABLE, 0
+    .WORD 11, -22
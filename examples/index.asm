@@ -0,0 +1,20 @@
+; Index register demo: adds up a five-word table in one loop, with no
+; self-modifying code. X1 counts up from -5 to 0 and is added to the
+; address of the word just past the table. The table straddles data banks
+; 2 and 3; an index counts in words, so it crosses into the next bank.
+; Prints each entry, then the total, 150.
+.EQU TOTAL, 0           ; data bank 0, word 0 holds the running total
+    LXI X1, -5
+LOOP:
+    LDA 3, 3, X1        ; bank 3, word 3 is just past the table
+    PRA
+    LDB 0, TOTAL
+    ADD
+    STO 0, TOTAL
+    INX X1, 1
+    JXN X1, LOOP
+    LDA 0, TOTAL
+    PRA
+    HLT
+.DATA 2, 14
+    .WORD 10, 20, 30, 40, 50
@@ -0,0 +1,33 @@
+; Wheeler Jump calling sequences, shared by programs that .INCLUDE this file.
+;
+;   WCALL SUB       call SUB; the return address travels in Reg A
+;   WENTRY EXIT     first thing in SUB: plant the return jump at EXIT
+;   EXIT: WEXIT     the jump slot that WENTRY overwrites
+;
+; Words 0 and 1 of data bank WHEELER_BANK are scratch for the link.
+
+.EQU WHEELER_BANK, 0
+.EQU JMPA_OPCODE, 0b00011011
+
+; JMPA 0, the template every return jump is built from.
+WHEELER_TEMPLATE: .WORD JMPA_OPCODE << OPERAND_WIDTH
+
+.MACRO WCALL SUB
+    LEB @RETURN                 ; absolute return address
+    STB WHEELER_BANK, 0
+    LDA WHEELER_BANK, 0
+    JMP \SUB
+@RETURN:
+.ENDM
+
+.MACRO WENTRY EXIT
+    STO WHEELER_BANK, 1         ; save the return address
+    LDP WHEELER_TEMPLATE
+    LDB WHEELER_BANK, 1
+    ADD                         ; A = JMPA return address
+    STP \EXIT
+.ENDM
+
+.MACRO WEXIT
+    JMPA 0                      ; overwritten by WENTRY
+.ENDM
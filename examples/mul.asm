@@ -0,0 +1,7 @@
+; MUL test: Booth's algorithm on two signed numbers.
+MULTST:
+    LAI 6
+    LBI 7
+    MUL              ; A = A * B
+    PRA              ; prints 42
+    HLT
@@ -0,0 +1,31 @@
+; The Wheeler Jump demo (wheeler.asm) in the next-address word format.
+; Each instruction names its successor; without `->` it is the next
+; instruction in source order. Main memory keeps turning while an
+; instruction executes, so `--optimize` places each instruction where the
+; head will be when the one before finishes instead of a revolution away.
+    .FORMAT SUCCESSOR
+START:
+    LAI 100          ; argument
+    STO 0,2          ; pass it in data memory [0,2]
+    LEB RETURN_HERE  ; absolute return address
+    STB 0,0
+    LDA 0,0 -> ADD_42_SUB  ; the successor replaces the JMP
+
+RETURN_HERE:
+    PRA              ; prints 142
+    HLT
+
+ADD_42_SUB:
+    STO 0,1          ; save the return address
+    LDP JUMP_TEMPLATE
+    LDB 0,1
+    ADD              ; A = JMPA RETURN_HERE
+    STP SUB_JUMP_SLOT
+    LDA 0,2          ; the subroutine's real work
+    LBI 42
+    ADD
+    STO 0,2
+SUB_JUMP_SLOT:
+    JMPA 0           ; overwritten with the return jump
+JUMP_TEMPLATE:
+    JMPA 0
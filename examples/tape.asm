@@ -0,0 +1,14 @@
+; Paper tape demo: adds up the numbers on a tape until it runs out.
+;   node dlmem.js run examples/tape.asm --tape examples/numbers.tape
+; Prints the running total after each number: 5, 12, 4, 104.
+.EQU TOTAL, 0           ; data bank 0, word 0 holds the running total
+NEXT:
+    JTE DONE
+    RDN
+    LDB 0, TOTAL
+    ADD
+    STO 0, TOTAL
+    PRA
+    JMP NEXT
+DONE:
+    HLT
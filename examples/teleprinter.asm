@@ -0,0 +1,34 @@
+; Teleprinter demo: types HELLO in ITA2 (Baudot-Murray) code, then prints
+; the fraction -3/4 in every number format.
+;   node dlmem.js run examples/teleprinter.asm --teleprinter ita2
+.EQU LTRS, 31           ; letters shift
+.EQU CR, 8
+.EQU LF, 2
+.EQU H, 20
+.EQU E, 1
+.EQU L, 18
+.EQU O, 24
+    LAI LTRS
+    PCH
+    LAI H
+    PCH
+    LAI E
+    PCH
+    LAI L
+    PCH
+    PCH
+    LAI O
+    PCH
+    LAI CR
+    PCH
+    LAI LF
+    PCH
+    LDA 0, 0            ; -3/4: the binary point follows the sign bit
+    PRF
+    PRA
+    PRH
+    PRO
+    PRB
+    HLT
+.DATA 0, 0
+    .WORD -3 << (WORD_SIZE - 3)
@@ -0,0 +1,26 @@
+; The Wheeler Jump demo of wheeler.asm, written with the calling sequences
+; from lib/wheeler.asm. Prints 142; set SHOW_ARGUMENT to 1 to print the
+; argument first, or change ADDEND to build a different subroutine.
+.EQU ADDEND, 42
+.EQU SHOW_ARGUMENT, 0
+.EQU ARGS, 1                    ; data bank for the argument
+.INCLUDE "lib/wheeler.asm"
+
+START:
+    LAI 100
+    STO ARGS, 0
+.IF SHOW_ARGUMENT
+    PRA
+.ENDIF
+    WCALL ADD_SUB
+    PRA                         ; prints 100 + ADDEND
+    HLT
+
+ADD_SUB:
+    WENTRY ADD_EXIT
+    LDA ARGS, 0
+    LBI ADDEND
+    ADD
+    STO ARGS, 0
+ADD_EXIT:
+    WEXIT
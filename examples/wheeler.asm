@@ -0,0 +1,28 @@
+; Wheeler Jump demo: call a subroutine that adds 42 to a number.
+; The subroutine builds its own return instruction (JMPA RETURN_HERE)
+; and writes it over SUB_JUMP_SLOT before doing its work.
+START:
+    LAI 100          ; argument
+    STO 0,2          ; pass it in data memory [0,2]
+    LEB RETURN_HERE  ; absolute return address
+    STB 0,0
+    LDA 0,0          ; return address travels in Reg A
+    JMP ADD_42_SUB
+RETURN_HERE:
+    PRA              ; prints 142
+    HLT
+
+ADD_42_SUB:
+    STO 0,1          ; save the return address
+    LDP JUMP_TEMPLATE
+    LDB 0,1
+    ADD              ; A = JMPA RETURN_HERE
+    STP SUB_JUMP_SLOT
+    LDA 0,2          ; the subroutine's real work
+    LBI 42
+    ADD
+    STO 0,2
+SUB_JUMP_SLOT:
+    JMPA 0           ; overwritten with the return jump
+JUMP_TEMPLATE:
+    JMPA 0
@@ -0,0 +1,183 @@
+/**
+ * expression.js
+ *
+ * Operand expressions for the assembler. An expression combines numbers,
+ * character literals and symbols with the operators below, evaluated with
+ * BigInt arithmetic. From loosest to tightest binding:
+ *
+ *   |          bitwise OR
+ *   &          bitwise AND
+ *   << >>      shifts
+ *   + -        addition, subtraction
+ *   * /        multiplication, division (rounds towards zero)
+ *   - + ~      unary minus, plus and bitwise NOT
+ *
+ * Parentheses group as usual. Numbers are decimal or carry a prefix: 0x1F
+ * (hex), 0o17 (octal) or 0b101 (binary). 'A' is the character code of A;
+ * the escapes \n, \r, \t, \0, \\ and \' are understood.
+ *
+ * Symbols are looked up through a callback, so the assembler decides what a
+ * name means (a constant, a label's address, its offset) and which names
+ * are allowed where.
+ */
+
+const NAME_PATTERN = /[A-Za-z_.$][A-Za-z0-9_.$]*/y;
+const NUMBER_PATTERN = /0[xX][0-9A-Fa-f]+|0[oO][0-7]+|0[bB][01]+|\d+/y;
+const OPERATORS = ['<<', '>>', '+', '-', '*', '/', '&', '|', '~', '(', ')'];
+const ESCAPES = { n: 10, r: 13, t: 9, '0': 0, '\\': 92, "'": 39 };
+
+// Binary operators by precedence level, loosest first.
+const BINARY_LEVELS = [
+    { '|': (a, b) => a | b },
+    { '&': (a, b) => a & b },
+    { '<<': (a, b) => a << b, '>>': (a, b) => a >> b },
+    { '+': (a, b) => a + b, '-': (a, b) => a - b },
+    { '*': (a, b) => a * b, '/': (a, b) => a / b },
+];
+
+/**
+ * A problem with an expression. `offset` is the 0-based position in the
+ * expression text that it refers to.
+ */
+class ExpressionError extends Error {
+    constructor(message, offset = 0) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.offset = offset;
+    }
+}
+
+// Splits expression text into number, name and operator tokens.
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            i++;
+            continue;
+        }
+        if (text[i] === "'") {
+            let code;
+            let end;
+            if (text[i + 1] === '\\') {
+                code = ESCAPES[text[i + 2]];
+                if (code === undefined) {
+                    throw new ExpressionError(`unknown escape '\\${text[i + 2] || ''}' in character literal`, i);
+                }
+                end = i + 3;
+            } else {
+                code = text.codePointAt(i + 1);
+                end = i + 1 + (code > 0xFFFF ? 2 : 1);
+            }
+            if (code === undefined || text[end] !== "'") {
+                throw new ExpressionError('unterminated character literal', i);
+            }
+            tokens.push({ type: 'number', value: BigInt(code), offset: i });
+            i = end + 1;
+            continue;
+        }
+        NUMBER_PATTERN.lastIndex = i;
+        let match = NUMBER_PATTERN.exec(text);
+        if (match) {
+            const end = i + match[0].length;
+            if (end < text.length && /[A-Za-z0-9_.$]/.test(text[end])) {
+                throw new ExpressionError(`invalid number '${text.slice(i).match(/^[A-Za-z0-9_.$]+/)[0]}'`, i);
+            }
+            tokens.push({ type: 'number', value: BigInt(match[0]), offset: i });
+            i = end;
+            continue;
+        }
+        NAME_PATTERN.lastIndex = i;
+        match = NAME_PATTERN.exec(text);
+        if (match) {
+            tokens.push({ type: 'name', value: match[0].toUpperCase(), offset: i });
+            i += match[0].length;
+            continue;
+        }
+        const operator = OPERATORS.find(op => text.startsWith(op, i));
+        if (!operator) {
+            throw new ExpressionError(`unexpected character '${text[i]}'`, i);
+        }
+        tokens.push({ type: 'operator', value: operator, offset: i });
+        i += operator.length;
+    }
+    return tokens;
+}
+
+/**
+ * Evaluates an expression.
+ * @param {string} text The expression.
+ * @param {function(string, number): bigint} lookup Returns the value of a
+ *        symbol, given its upper-cased name and offset in `text`; throws an
+ *        ExpressionError if the symbol cannot be used.
+ * @param {object} [options={}]
+ * @param {number} [options.maxShift] The largest shift count allowed, usually
+ *        the word size; unbounded if omitted.
+ * @returns {bigint}
+ * @throws {ExpressionError}
+ */
+function evaluate(text, lookup, options = {}) {
+    const maxShift = options.maxShift !== undefined ? BigInt(options.maxShift) : null;
+    const tokens = tokenize(text);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOperator = (token, value) => token && token.type === 'operator' && token.value === value;
+
+    const parseBinary = level => {
+        if (level === BINARY_LEVELS.length) return parseUnary();
+        let left = parseBinary(level + 1);
+        while (peek() && peek().type === 'operator' && BINARY_LEVELS[level][peek().value]) {
+            const { value: op, offset } = tokens[pos++];
+            const right = parseBinary(level + 1);
+            if (op === '/' && right === 0n) {
+                throw new ExpressionError('division by zero', offset);
+            }
+            if ((op === '<<' || op === '>>') && right < 0n) {
+                throw new ExpressionError(`negative shift count ${right}`, offset);
+            }
+            if ((op === '<<' || op === '>>') && maxShift !== null && right > maxShift) {
+                throw new ExpressionError(`shift count ${right} is larger than the ${maxShift}-bit word`, offset);
+            }
+            left = BINARY_LEVELS[level][op](left, right);
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (isOperator(token, '-')) { pos++; return -parseUnary(); }
+        if (isOperator(token, '+')) { pos++; return parseUnary(); }
+        if (isOperator(token, '~')) { pos++; return ~parseUnary(); }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[pos++];
+        if (!token) {
+            throw new ExpressionError(tokens.length === 0 ? 'missing operand' : 'expression ends unexpectedly', text.length);
+        }
+        if (token.type === 'number') return token.value;
+        if (token.type === 'name') return lookup(token.value, token.offset);
+        if (token.value === '(') {
+            const value = parseBinary(0);
+            if (!isOperator(peek(), ')')) {
+                throw new ExpressionError("missing ')'", peek() ? peek().offset : text.length);
+            }
+            pos++;
+            return value;
+        }
+        throw new ExpressionError(`unexpected '${token.value}'`, token.offset);
+    };
+
+    const value = parseBinary(0);
+    if (pos < tokens.length) {
+        throw new ExpressionError(`unexpected '${tokens[pos].value}'`, tokens[pos].offset);
+    }
+    return value;
+}
+
+module.exports = {
+    ExpressionError,
+    tokenize,
+    evaluate,
+};
@@ -0,0 +1,377 @@
+/**
+ * faults.js
+ *
+ * A fault model for the delay lines of SimpleCPU (cpu2m3.js), to show why
+ * delay-line machines were fragile. The lines of cpu2m3.js are perfect; a
+ * machine built with a FaultModel gets lines that suffer:
+ *  - flips:  noise flips the bit passing a line's head, with chance
+ *            `flipRate` on every tick.
+ *  - losses: the regenerator drops out for a tick, with chance `lossRate`,
+ *            and with its refresh disabled a pulse passing the head is lost.
+ *  - slips:  the line slips against the machine clock, with chance
+ *            `slipRate` on every tick, and everything in it shifts one bit
+ *            earlier or later.
+ *  - stuck bits: a cell of the line that always holds 0 or 1, whatever is
+ *            written to it.
+ * Every line draws its faults from its own random stream, seeded from the
+ * model's `seed` and the line's name, so a run is reproducible and one line's
+ * faults do not depend on how the program uses the others.
+ *
+ * Lines are named `tank0`, `tank1`, ... for main memory, `bank0`, `bank1`, ...
+ * for data memory, `A`, `B`, `S`, `T`, `X1`, ... for the registers and
+ * `stack` for the return stack. A stuck bit is given as `line:word:bit`,
+ * where word 0 bit 0 is the cell under the line's head when the machine
+ * starts; a register has only word 0.
+ *
+ * Every bit a fault changes carries a mark until it is written over. When the
+ * CPU reads a marked bit the model counts it and the CPU emits a
+ * 'fault-read' event naming the line, the word and bit, the kind of fault and
+ * the tick it struck; each fault is reported the first time it is read.
+ */
+
+const { DelayLineMemory } = require('./cpu2m3');
+
+const FAULT_KINDS = ['flip', 'loss', 'slip', 'stuck'];
+const RATE_FIELDS = ['flipRate', 'lossRate', 'slipRate'];
+const FAULT_FIELDS = ['seed', ...RATE_FIELDS, 'stuck0', 'stuck1'];
+
+/**
+ * A seeded random number generator (mulberry32).
+ * @param {number} seed A 32-bit integer.
+ * @returns {function(): number} Returns numbers from 0 up to 1.
+ */
+function makeRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+    };
+}
+
+// A 32-bit hash of a string (FNV-1a), to give every line its own seed.
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Ticks until the first success of a chance `rate` taken on every tick.
+function ticksUntil(random, rate) {
+    if (rate <= 0) return Infinity;
+    if (rate >= 1) return 1;
+    return 1 + Math.floor(Math.log(1 - random()) / Math.log(1 - rate));
+}
+
+// Every line of a machine with its name.
+function namedLines(cpu) {
+    return [
+        ...cpu.memory.banks.map((line, tank) => [`tank${tank}`, line]),
+        ...cpu.dataMemory.banks.map((line, bank) => [`bank${bank}`, line]),
+        ...cpu.registerNames.map(name => [name, cpu['reg' + name]]),
+        ['stack', cpu.returnStack],
+    ];
+}
+
+// The size in bits of every line of a machine of this geometry, by name.
+function lineSizes(geometry, programTanks) {
+    const sizes = new Map();
+    for (let tank = 0; tank < programTanks; tank++) {
+        sizes.set(`tank${tank}`, geometry.memoryWords / programTanks * geometry.wordSize);
+    }
+    for (let bank = 0; bank < geometry.dataBanks; bank++) {
+        sizes.set(`bank${bank}`, geometry.wordsPerBank * geometry.wordSize);
+    }
+    for (const name of ['A', 'B', 'S', 'T']) sizes.set(name, geometry.wordSize);
+    for (let number = 1; number <= geometry.indexRegisters; number++) sizes.set('X' + number, geometry.wordSize);
+    sizes.set('stack', geometry.returnStackDepth * geometry.wordSize);
+    return sizes;
+}
+
+/**
+ * A delay line that suffers the faults of its model. It keeps its own clock,
+ * so the CPU turns it by every tick it misses rather than by the remainder of
+ * a revolution (see SimpleCPU.syncLine()), and it injects each fault at the
+ * tick it falls due. Its `peekReadHead()` and `peek()` are the CPU's reads;
+ * `peekRange()` reads for traces and dumps without noticing faults.
+ */
+class FaultyDelayLine extends DelayLineMemory {
+    constructor(size, model) {
+        super(size);
+        this.model = model;
+        this.name = null;       // set when the model is attached
+        this.keepsTime = true;
+        this.clock = 0;
+        this.random = null;
+        this.due = { flip: Infinity, loss: Infinity, slip: Infinity };
+        this.stuck = [];        // { index, value, fault }
+        this.marks = new Array(size).fill(null); // the fault each bit carries
+    }
+
+    // Starts the line's random stream and schedules its first faults.
+    start(name, seed) {
+        this.name = name;
+        this.random = makeRandom(hashString(`${seed}:${name}`));
+        for (const kind of Object.keys(this.due)) this.schedule(kind);
+    }
+
+    schedule(kind) {
+        this.due[kind] = this.clock + ticksUntil(this.random, this.model[kind + 'Rate']);
+    }
+
+    tick() {
+        const slot = this._head;
+        const refreshed = this._nextBitToWrite === null && this.enableRefresh;
+        const bit = super.tick();
+        if (!refreshed) this.marks[slot] = null;
+        this.clock++;
+        this.settle();
+        return bit;
+    }
+
+    rotate(n) {
+        if (n <= 0) return;
+        if (this._nextBitToWrite !== null) {
+            this.tick();
+            n--;
+        }
+        if (!this.enableRefresh) {
+            for (let i = 0; i < n; i++) this.tick();
+            return;
+        }
+        // A refreshing line only turns; stop at every fault that falls due.
+        while (n > 0) {
+            const step = Math.min(n, Math.min(...Object.values(this.due)) - this.clock);
+            this._head = (this._head + step) % this.size;
+            this.clock += step;
+            n -= step;
+            this.settle();
+        }
+    }
+
+    // Injects the faults due at the present tick, then holds the stuck bits.
+    settle() {
+        for (const kind of Object.keys(this.due)) {
+            if (this.due[kind] > this.clock) continue;
+            this.inject(kind);
+            this.schedule(kind);
+        }
+        for (const cell of this.stuck) {
+            if (this._bits[cell.index] === cell.value) continue;
+            this._bits[cell.index] = cell.value;
+            cell.fault.tick = this.clock;
+            this.marks[cell.index] = cell.fault;
+        }
+    }
+
+    inject(kind) {
+        const slot = this._head;
+        const fault = { kind, tick: this.clock, read: false };
+        if (kind === 'flip') {
+            this._bits[slot] ^= 1;
+            this.marks[slot] = fault;
+        } else if (kind === 'loss') {
+            if (this._bits[slot] === 0) return; // no pulse to lose
+            this._bits[slot] = 0;
+            this.marks[slot] = fault;
+        } else {
+            this._head = (this._head + (this.random() < 0.5 ? 1 : this.size - 1)) % this.size;
+            for (let i = 0; i < this.size; i++) {
+                if (this.marks[i] === null) this.marks[i] = fault;
+            }
+        }
+        this.model.injected[kind]++;
+    }
+
+    // Reports a marked bit the first time the CPU reads it.
+    notice(slot) {
+        const fault = this.marks[slot];
+        if (fault === null || fault.read) return;
+        fault.read = true;
+        this.model.noticeRead(this, fault, slot);
+    }
+
+    peek(offset) {
+        this.notice((this._head + offset) % this.size);
+        return super.peek(offset);
+    }
+
+    peekReadHead() {
+        this.notice(this._head);
+        return super.peekReadHead();
+    }
+
+    peekRange(start, length) {
+        const bits = new Array(length);
+        for (let i = 0; i < length; i++) {
+            bits[i] = this._bits[(this._head + start + i) % this.size];
+        }
+        return bits;
+    }
+
+    pokeRange(start, bits) {
+        super.pokeRange(start, bits);
+        bits.forEach((bit, i) => {
+            this.marks[(this._head + start + i) % this.size] = null;
+        });
+        this.settle();
+    }
+
+    clear() {
+        super.clear();
+        this.marks.fill(null);
+        this.settle();
+    }
+}
+
+class FaultModel {
+    /**
+     * @param {object} [options={}]
+     * @param {number} [options.seed=1] Seeds every line's random stream.
+     * @param {number} [options.flipRate=0] Chance per tick that a line's passing bit flips.
+     * @param {number} [options.lossRate=0] Chance per tick that a line's
+     *        regenerator drops out, losing a passing pulse.
+     * @param {number} [options.slipRate=0] Chance per tick that a line slips a bit.
+     * @param {{line: string, word: number, bit: number, value: number}[]} [options.stuck=[]]
+     *        Stuck bits.
+     * @throws {Error} If a rate is not from 0 to 1, or the seed or a stuck bit is malformed.
+     */
+    constructor(options = {}) {
+        this.seed = options.seed !== undefined ? options.seed : 1;
+        if (!Number.isInteger(this.seed) || this.seed < 0) {
+            throw new Error(`faults: seed must be a non-negative integer, got ${this.seed}`);
+        }
+        for (const name of RATE_FIELDS) {
+            this[name] = options[name] !== undefined ? options[name] : 0;
+            if (!(this[name] >= 0 && this[name] <= 1)) {
+                throw new Error(`faults: ${name} must be from 0 to 1, got ${this[name]}`);
+            }
+        }
+        this.stuck = (options.stuck || []).map(cell => {
+            if (typeof cell.line !== 'string' || !Number.isInteger(cell.word) || cell.word < 0
+                || !Number.isInteger(cell.bit) || cell.bit < 0 || (cell.value !== 0 && cell.value !== 1)) {
+                throw new Error(`faults: a stuck bit needs a line, a word, a bit and a value of 0 or 1, got ${JSON.stringify(cell)}`);
+            }
+            return { ...cell };
+        });
+        this.cpu = null;
+        this.injected = Object.fromEntries(FAULT_KINDS.map(kind => [kind, 0]));
+        this.reads = 0;
+        const model = this;
+        // The line class to build the machine with (see createMachine()).
+        this.lineClass = class extends FaultyDelayLine {
+            constructor(size) {
+                super(size, model);
+            }
+        };
+    }
+
+    /**
+     * Checks that every stuck bit lies in a line of a machine of this shape,
+     * before one is built.
+     * @param {object} geometry See geometry.js.
+     * @param {number} [programTanks=1]
+     * @throws {Error} If a stuck bit names no line or lies outside its line.
+     */
+    check(geometry, programTanks = 1) {
+        this.checkStuck(lineSizes(geometry, programTanks), geometry.wordSize);
+    }
+
+    checkStuck(sizes, wordSize) {
+        for (const cell of this.stuck) {
+            if (!sizes.has(cell.line)) {
+                throw new Error(`faults: no line named '${cell.line}' (expected tankN, bankN, a register or stack)`);
+            }
+            if (cell.bit >= wordSize || (cell.word + 1) * wordSize > sizes.get(cell.line)) {
+                throw new Error(`faults: ${cell.line} has no word ${cell.word} bit ${cell.bit}`);
+            }
+        }
+    }
+
+    /**
+     * Starts the faults on the lines of a machine built with `lineClass`.
+     * @param {SimpleCPU} cpu
+     * @throws {Error} If a line is not one of the model's, or a stuck bit
+     *         names no line or lies outside its line.
+     */
+    attach(cpu) {
+        this.cpu = cpu;
+        const lines = new Map(namedLines(cpu));
+        this.checkStuck(new Map([...lines].map(([name, line]) => [name, line.size])), cpu.wordSize);
+        for (const [name, line] of lines) {
+            if (!(line instanceof this.lineClass)) {
+                throw new Error(`faults: line ${name} was not built with the fault model's lineClass`);
+            }
+            line.start(name, this.seed);
+        }
+        for (const cell of this.stuck) {
+            const line = lines.get(cell.line);
+            const index = cell.word * cpu.wordSize + cell.bit;
+            line.stuck.push({ index, value: cell.value, fault: { kind: 'stuck', tick: line.clock, read: false } });
+            this.injected.stuck++;
+            line.settle();
+        }
+    }
+
+    // Counts a fault the CPU has read and reports it.
+    noticeRead(line, fault, slot) {
+        this.reads++;
+        const word = Math.floor(slot / this.cpu.wordSize);
+        this.cpu.trace('fault-read', {
+            line: line.name,
+            word: line.size > this.cpu.wordSize ? word : undefined,
+            bit: slot % this.cpu.wordSize,
+            kind: fault.kind,
+            injectedAt: fault.tick,
+        });
+    }
+
+    // The faults injected and read so far, in words. Brings every line up to
+    // the machine clock first, so lines the CPU has left alone count too.
+    summary() {
+        for (const line of this.cpu.lines()) this.cpu.syncLine(line);
+        const counts = FAULT_KINDS.map(kind => `${this.injected[kind]} ${kind}`).join(', ');
+        return `faults: injected ${counts}; ${this.reads} read by the CPU`;
+    }
+}
+
+/**
+ * Reads a fault model written as `name=value` pairs separated by commas, as
+ * given on the command line: `seed=7,flipRate=1e-6,stuck1=bank3:5:17`.
+ * `stuck0` and `stuck1` name a bit stuck at 0 or 1 and may be repeated.
+ * @param {string} text
+ * @returns {FaultModel}
+ * @throws {Error} If a pair is malformed or names no fault field.
+ */
+function parseFaults(text) {
+    const options = { stuck: [] };
+    for (const pair of text.split(',').map(part => part.trim()).filter(Boolean)) {
+        const match = /^(\w+)=(\S+)$/.exec(pair);
+        if (!match || !FAULT_FIELDS.includes(match[1])) {
+            throw new Error(`faults: expected name=value with name one of ${FAULT_FIELDS.join(', ')}, got '${pair}'`);
+        }
+        const [, name, value] = match;
+        if (name === 'stuck0' || name === 'stuck1') {
+            const cell = /^(\w+):(\d+):(\d+)$/.exec(value);
+            if (!cell) {
+                throw new Error(`faults: expected ${name}=line:word:bit, got '${pair}'`);
+            }
+            options.stuck.push({ line: cell[1], word: Number(cell[2]), bit: Number(cell[3]), value: Number(name.slice(-1)) });
+        } else {
+            options[name] = Number(value);
+        }
+    }
+    return new FaultModel(options);
+}
+
+module.exports = {
+    FAULT_KINDS,
+    makeRandom,
+    FaultyDelayLine,
+    FaultModel,
+    parseFaults,
+};
@@ -0,0 +1,129 @@
+/**
+ * geometry.js
+ *
+ * The shape of a machine: how long its words are, how an instruction word is
+ * divided between the opcode and the operand, how much main and data memory
+ * it has, and how many index registers and return addresses it holds. The
+ * CPU, the instruction encoder and decoder (isa.js), the assembler and the
+ * tools all take their sizes from a geometry, so 32-, 40- and 48-bit variants
+ * of the machine, or one with larger data banks, need no code changes.
+ *
+ * An instruction word is an `opcodeWidth`-bit opcode above an operand field
+ * of the remaining bits. A `bank, word` operand packs the bank number above
+ * the word number at the bottom of that field, `bankWidth` and `wordWidth`
+ * bits wide; a word-format successor field (see WORD_FORMATS in isa.js) is
+ * `successorWidth` bits at its top. Instructions that name an index register
+ * hold its number in the `indexWidth` bits just below the successor, or at
+ * the top of the operand field without one. The successor field is only
+ * reserved in the successor word format, which isa.js checks it fits.
+ */
+
+// The machine as first built: 40-bit words with an 8-bit opcode, 256 words
+// of main memory, 16 data banks of 16 words, three index registers and a
+// return stack eight calls deep.
+const DEFAULT_SIZES = {
+    wordSize: 40, opcodeWidth: 8, memoryWords: 256, dataBanks: 16, wordsPerBank: 16, indexRegisters: 3, returnStackDepth: 8,
+};
+const FIELD_WIDTHS = ['bankWidth', 'wordWidth', 'successorWidth', 'indexWidth'];
+
+// Bits needed to number `count` things.
+function bitsFor(count) {
+    return Math.max(1, Math.ceil(Math.log2(count)));
+}
+
+/**
+ * Completes and checks a machine geometry. Missing sizes take the default
+ * machine's; missing field widths are just wide enough for the memory they
+ * address.
+ * @param {object} [options={}]
+ * @param {number} [options.wordSize=40] Bits in every word, register and data word.
+ * @param {number} [options.opcodeWidth=8] Bits of an instruction word's opcode.
+ * @param {number} [options.memoryWords=256] Words of main memory.
+ * @param {number} [options.dataBanks=16] Data memory banks.
+ * @param {number} [options.wordsPerBank=16] Words in each data bank.
+ * @param {number} [options.indexRegisters=3] Index registers, X1 upwards.
+ * @param {number} [options.returnStackDepth=8] Return addresses the CALL/RET stack holds.
+ * @param {number} [options.bankWidth] Bits of the bank number in a `bank, word` operand.
+ * @param {number} [options.wordWidth] Bits of the word number in a `bank, word` operand.
+ * @param {number} [options.successorWidth] Bits of the next-instruction field
+ *        of the successor word format.
+ * @param {number} [options.indexWidth] Bits of an index register number; the
+ *        number 0 means no register.
+ * @returns {object} A frozen geometry with every field above plus `operandWidth`.
+ * @throws {Error} If a size is not a positive integer or the fields do not fit.
+ */
+function makeGeometry(options = {}) {
+    const geometry = {};
+    for (const name of Object.keys(DEFAULT_SIZES)) {
+        geometry[name] = options[name] !== undefined ? options[name] : DEFAULT_SIZES[name];
+    }
+    for (const name of [...Object.keys(DEFAULT_SIZES), ...FIELD_WIDTHS]) {
+        const value = name in geometry ? geometry[name] : options[name];
+        if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+            throw new Error(`geometry: ${name} must be a positive integer, got ${value}`);
+        }
+    }
+    geometry.operandWidth = geometry.wordSize - geometry.opcodeWidth;
+    geometry.bankWidth = options.bankWidth !== undefined ? options.bankWidth : bitsFor(geometry.dataBanks);
+    geometry.wordWidth = options.wordWidth !== undefined ? options.wordWidth : bitsFor(geometry.wordsPerBank);
+    geometry.successorWidth = options.successorWidth !== undefined ? options.successorWidth : bitsFor(geometry.memoryWords);
+    geometry.indexWidth = options.indexWidth !== undefined ? options.indexWidth : bitsFor(geometry.indexRegisters + 1);
+
+    if (geometry.operandWidth < 1) {
+        throw new Error(`geometry: a ${geometry.opcodeWidth}-bit opcode leaves no operand in a ${geometry.wordSize}-bit word`);
+    }
+    if (geometry.bankWidth + geometry.wordWidth > geometry.operandWidth) {
+        throw new Error(`geometry: a ${geometry.bankWidth}-bit bank and ${geometry.wordWidth}-bit word do not fit in the ${geometry.operandWidth}-bit operand`);
+    }
+    if (2 ** geometry.bankWidth < geometry.dataBanks || 2 ** geometry.wordWidth < geometry.wordsPerBank) {
+        throw new Error(`geometry: ${geometry.bankWidth}+${geometry.wordWidth} bits cannot address ${geometry.dataBanks} banks of ${geometry.wordsPerBank} words`);
+    }
+    if (2 ** geometry.indexWidth <= geometry.indexRegisters) {
+        throw new Error(`geometry: ${geometry.indexWidth} bits cannot number ${geometry.indexRegisters} index registers`);
+    }
+    if (geometry.indexWidth + geometry.bankWidth + geometry.wordWidth > geometry.operandWidth) {
+        throw new Error(`geometry: the index, bank and word fields do not fit in the ${geometry.operandWidth}-bit operand field`);
+    }
+    return Object.freeze(geometry);
+}
+
+const DEFAULT_GEOMETRY = makeGeometry();
+
+// True if two geometries describe the same machine.
+function sameGeometry(a, b) {
+    return Object.keys(DEFAULT_GEOMETRY).every(name => a[name] === b[name]);
+}
+
+// A geometry in words, for messages and listings.
+function describeGeometry(geometry) {
+    return `${geometry.wordSize}-bit words (${geometry.opcodeWidth}-bit opcode), `
+        + `${geometry.memoryWords} words of main memory, ${geometry.dataBanks} data banks of ${geometry.wordsPerBank} words`;
+}
+
+/**
+ * Reads a geometry written as `name=value` pairs separated by commas, as
+ * given on the command line: `wordSize=32,wordsPerBank=64`.
+ * @param {string} text
+ * @returns {object} See `makeGeometry()`.
+ * @throws {Error} If a pair is malformed or names no geometry field.
+ */
+function parseGeometry(text) {
+    const options = {};
+    for (const pair of text.split(',').map(part => part.trim()).filter(Boolean)) {
+        const match = /^(\w+)=(\S+)$/.exec(pair);
+        const names = [...Object.keys(DEFAULT_SIZES), ...FIELD_WIDTHS];
+        if (!match || !names.includes(match[1])) {
+            throw new Error(`geometry: expected name=value with name one of ${names.join(', ')}, got '${pair}'`);
+        }
+        options[match[1]] = Number(match[2]);
+    }
+    return makeGeometry(options);
+}
+
+module.exports = {
+    DEFAULT_GEOMETRY,
+    makeGeometry,
+    sameGeometry,
+    describeGeometry,
+    parseGeometry,
+};
@@ -0,0 +1,398 @@
+/**
+ * isa.js
+ *
+ * The instruction set of the cpu2m3.js machine, declared once. Every
+ * instruction has an opcode, an operand format and a description; the
+ * assembler, the CPU's decoder, the disassembler and the instruction table
+ * in README.md are all derived from this list.
+ *
+ * An instruction word is an opcode followed by an operand field, which each
+ * operand format divides into named fields. In the `successor` word format
+ * the top bits of that field name the next instruction instead (see
+ * WORD_FORMATS). The widths come from the machine's geometry (geometry.js):
+ * an 8-bit opcode, a 32-bit operand and an 8-bit successor by default.
+ *
+ * Loading this module fails if two instructions share a mnemonic or an
+ * opcode, so an encoding collision can never reach the decoder.
+ *
+ * To regenerate the instruction table in README.md:
+ *   node isa.js --write-readme
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_GEOMETRY } = require('./geometry');
+
+// The widths of the default machine.
+const OPCODE_WIDTH = DEFAULT_GEOMETRY.opcodeWidth;
+const OPERAND_WIDTH = DEFAULT_GEOMETRY.operandWidth;
+const INSTRUCTION_WIDTH = DEFAULT_GEOMETRY.wordSize;
+const SUCCESSOR_WIDTH = DEFAULT_GEOMETRY.successorWidth;
+
+/**
+ * Instruction word formats.
+ *  - sequential: the next instruction is the word after this one (pc + 1).
+ *  - successor:  as on the EDVAC and Pilot ACE, a `next` field between the
+ *    opcode and the operand holds the address of the next instruction, so
+ *    code can sit wherever the delay line brings it to the head soonest. The
+ *    operand is narrower to make room.
+ * The table holds the layouts of the default machine; `wordFormatLayout()`
+ * gives them for any geometry.
+ */
+const WORD_FORMATS = {
+    sequential: wordFormatLayout('sequential'),
+    successor: wordFormatLayout('successor'),
+};
+
+/**
+ * Where a word format puts the operand and successor fields of a machine.
+ * @param {string} wordFormat 'sequential' or 'successor'.
+ * @param {object} [geometry=DEFAULT_GEOMETRY] See geometry.js.
+ * @returns {{operandWidth: number, successor: ({shift: number, width: number}|null)}}
+ */
+function wordFormatLayout(wordFormat, geometry = DEFAULT_GEOMETRY) {
+    const { operandWidth, successorWidth } = geometry;
+    return wordFormat === 'sequential'
+        ? { operandWidth, successor: null }
+        : { operandWidth: operandWidth - successorWidth, successor: { shift: operandWidth - successorWidth, width: successorWidth } };
+}
+
+/**
+ * Operand formats. `syntax` is how the operands are written in assembly;
+ * `fields` lists the operand bit-fields in source order, each `width` bits wide
+ * and starting `shift` bits above the least significant bit of the word.
+ * A `signed` field holds a two's-complement value and is sign-extended when
+ * decoded. An `index` field names an index register, written `X1`, `X2`, ...;
+ * when it is `optional` it may be left off, which encodes 0: no indexing.
+ * `label` says what a label operand encodes: its 'address', its 'offset' from
+ * the program's base address, or nothing (null: labels are not allowed).
+ *  - immediate: a signed value, or a label standing for its absolute address
+ *  - relative:  a label, encoded as its offset from the program's base address
+ *  - absolute:  a program memory address, or a label standing for one
+ *  - bankWord:  a data memory location as `bank, word`
+ *  - absoluteIndexed, bankWordIndexed: as absolute and bankWord, optionally
+ *    followed by an index register whose value is added at execution time
+ *  - index, indexImmediate, indexRelative: an index register, alone or
+ *    followed by an immediate value or a jump target
+ * The widths here are the default machine's; `operandFormats()` gives the
+ * table for any geometry and word format.
+ */
+const OPERAND_FORMATS = {
+    none: { syntax: '', label: null, fields: [] },
+    immediate: { syntax: 'value', label: 'address', fields: [{ name: 'value', shift: 0, width: OPERAND_WIDTH, signed: true }] },
+    relative: { syntax: 'label', label: 'offset', fields: [{ name: 'offset', shift: 0, width: OPERAND_WIDTH }] },
+    absolute: { syntax: 'address', label: 'address', fields: [{ name: 'address', shift: 0, width: OPERAND_WIDTH }] },
+    bankWord: { syntax: 'bank, word', label: null, fields: [{ name: 'bank', shift: 4, width: 4 }, { name: 'word', shift: 0, width: 4 }] },
+    absoluteIndexed: {
+        syntax: 'address[, Xn]',
+        label: 'address',
+        fields: [{ name: 'address', shift: 0, width: OPERAND_WIDTH - 2 }, { name: 'index', shift: OPERAND_WIDTH - 2, width: 2, optional: true }],
+    },
+    bankWordIndexed: {
+        syntax: 'bank, word[, Xn]',
+        label: null,
+        fields: [{ name: 'bank', shift: 4, width: 4 }, { name: 'word', shift: 0, width: 4 }, { name: 'index', shift: OPERAND_WIDTH - 2, width: 2, optional: true }],
+    },
+    index: { syntax: 'Xn', label: null, fields: [{ name: 'index', shift: OPERAND_WIDTH - 2, width: 2 }] },
+    indexImmediate: {
+        syntax: 'Xn, value',
+        label: 'address',
+        fields: [{ name: 'index', shift: OPERAND_WIDTH - 2, width: 2 }, { name: 'value', shift: 0, width: OPERAND_WIDTH - 2, signed: true }],
+    },
+    indexRelative: {
+        syntax: 'Xn, label',
+        label: 'offset',
+        fields: [{ name: 'index', shift: OPERAND_WIDTH - 2, width: 2 }, { name: 'offset', shift: 0, width: OPERAND_WIDTH - 2 }],
+    },
+};
+
+const operandFormatTables = new Map(); // geometry and word format -> table
+
+/**
+ * The operand formats of a machine and word format: fields that fill the
+ * whole operand take the word format's operand width, less the index field
+ * at its top if the format has one, and `bank, word` operands take the
+ * geometry's bank and word widths.
+ * @param {string} [wordFormat='sequential'] A key of WORD_FORMATS.
+ * @param {object} [geometry=DEFAULT_GEOMETRY] See geometry.js.
+ * @returns {object} A table shaped like OPERAND_FORMATS.
+ * @throws {Error} If the word format is unknown, an opcode does not fit
+ *         the geometry's opcode field, or the successor format's field
+ *         leaves no room for the others.
+ */
+function operandFormats(wordFormat = 'sequential', geometry = DEFAULT_GEOMETRY) {
+    if (!WORD_FORMATS[wordFormat]) {
+        throw new Error(`unknown word format '${wordFormat}' (expected ${Object.keys(WORD_FORMATS).join(' or ')})`);
+    }
+    const key = `${wordFormat}:${JSON.stringify(geometry)}`;
+    if (!operandFormatTables.has(key)) {
+        const widest = ISA.instructions.reduce((max, instruction) => instruction.opcode > max.opcode ? instruction : max);
+        if (widest.opcode >= 2 ** geometry.opcodeWidth) {
+            throw new Error(`ISA: ${widest.mnemonic} opcode ${widest.opcode} does not fit in ${geometry.opcodeWidth} bits`);
+        }
+        const { operandWidth, successor } = wordFormatLayout(wordFormat, geometry);
+        if (successor && operandWidth < geometry.indexWidth + geometry.bankWidth + geometry.wordWidth) {
+            throw new Error(`geometry: the ${successor.width}-bit successor field leaves no room for the index, bank and word fields `
+                + `in the ${geometry.operandWidth}-bit operand field`);
+        }
+        const indexShift = operandWidth - geometry.indexWidth;
+        operandFormatTables.set(key, Object.fromEntries(Object.entries(OPERAND_FORMATS).map(([name, format]) => {
+            const rest = format.fields.some(field => field.name === 'index') ? indexShift : operandWidth;
+            const layout = {
+                value: { shift: 0, width: rest },
+                offset: { shift: 0, width: rest },
+                address: { shift: 0, width: rest },
+                bank: { shift: geometry.wordWidth, width: geometry.bankWidth },
+                word: { shift: 0, width: geometry.wordWidth },
+                index: { shift: indexShift, width: geometry.indexWidth },
+            };
+            return [name, { ...format, fields: format.fields.map(field => ({ ...field, ...layout[field.name] })) }];
+        })));
+    }
+    return operandFormatTables.get(key);
+}
+
+// Listed in the order they appear in the README table.
+const INSTRUCTIONS = [
+    { mnemonic: 'NOP', opcode: 0b00000000, format: 'none', description: 'No Operation.' },
+    { mnemonic: 'LAI', opcode: 0b00000001, format: 'immediate', description: '**L**oad **A** **I**mmediate: `regA = operand`, sign-extended.' },
+    { mnemonic: 'LBI', opcode: 0b00000010, format: 'immediate', description: '**L**oad **B** **I**mmediate: `regB = operand`, sign-extended.' },
+    { mnemonic: 'ADD', opcode: 0b00000011, format: 'none', description: '**Add**: `regA = regA + regB`.' },
+    { mnemonic: 'PRA', opcode: 0b00000100, format: 'none', description: '**P**rint **R**egister **A**: Prints the signed integer value of `regA`.' },
+    { mnemonic: 'NEG', opcode: 0b00000101, format: 'none', description: '**Neg**ate: `regB = -regB` (Two\'s Complement).' },
+    { mnemonic: 'STO', opcode: 0b00000110, format: 'bankWordIndexed', description: '**Sto**re **A**: `dataMemory[bank,word] = regA`.' },
+    { mnemonic: 'LDA', opcode: 0b00000111, format: 'bankWordIndexed', description: '**L**oa**d** **A**: `regA = dataMemory[bank,word]`.' },
+    { mnemonic: 'SHL', opcode: 0b00001000, format: 'none', description: '**Sh**ift **L**eft `regA` by 1 bit.' },
+    { mnemonic: 'SHR', opcode: 0b00001001, format: 'none', description: '**Sh**ift **R**ight `regA` by 1 bit.' },
+    { mnemonic: 'RND', opcode: 0b00001010, format: 'immediate', description: '**R**ou**nd** `regA`: Clears the N least significant bits of `regA`.' },
+    { mnemonic: 'MLA', opcode: 0b00001011, format: 'immediate', description: '**M**u**l**tiply and **A**dd: `regA = regA + regB` for N loops.' },
+    { mnemonic: 'STC', opcode: 0b00010000, format: 'bankWord', description: '**St**ore and **C**lear: `dataMemory[bank,word] = regA`, then `regA = 0`.' },
+    { mnemonic: 'JMP', opcode: 0b00010001, format: 'relative', description: '**J**u**mp** (Relative): `pc = baseAddress + operand`.' },
+    { mnemonic: 'JMPA', opcode: 0b00011011, format: 'absolute', description: '**J**u**mp** **A**bsolute: `pc = operand`.' },
+    { mnemonic: 'JZA', opcode: 0b00010010, format: 'relative', description: '**J**ump if **Z**ero **A**: Jumps (relative) if `regA` is zero.' },
+    { mnemonic: 'JNA', opcode: 0b00010011, format: 'relative', description: '**J**ump if **N**egative **A**: Jumps (relative) if `regA` is negative (MSB is 1).' },
+    { mnemonic: 'COL', opcode: 0b00010100, format: 'bankWordIndexed', description: '**Col**late: `regA = regA + (dataMemory[bank,word] AND regB)`.' },
+    { mnemonic: 'STB', opcode: 0b00010101, format: 'bankWordIndexed', description: '**St**ore **B**: `dataMemory[bank,word] = regB`.' },
+    { mnemonic: 'LDB', opcode: 0b00010110, format: 'bankWordIndexed', description: '**L**oa**d** **B**: `regB = dataMemory[bank,word]`.' },
+    { mnemonic: 'LDP', opcode: 0b00010111, format: 'absoluteIndexed', description: '**L**oad **P**rogram Memory: `regA = programMemory[address + Xn]`.' },
+    { mnemonic: 'STP', opcode: 0b00011000, format: 'absoluteIndexed', description: '**St**ore to **P**rogram Memory: `programMemory[address + Xn] = regA`.' },
+    { mnemonic: 'LEA', opcode: 0b00011001, format: 'immediate', description: '**L**oad **E**ffective **A**ddress to **A**: `regA = address`.' },
+    { mnemonic: 'LEB', opcode: 0b00011010, format: 'immediate', description: '**L**oad **E**ffective **A**ddress to **B**: `regB = address`.' },
+    { mnemonic: 'AND', opcode: 0b00011110, format: 'none', description: 'Bitwise **AND**: `regA = regA AND regB`.' },
+    { mnemonic: 'ORR', opcode: 0b00011100, format: 'none', description: 'Bitwise **OR**: `regA = regA OR regB`.' },
+    { mnemonic: 'XOR', opcode: 0b00011101, format: 'none', description: 'Bitwise e**X**clusive **OR**: `regA = regA XOR regB`.' },
+    { mnemonic: 'MUL', opcode: 0b00011111, format: 'none', description: '**Mul**tiply (Booth\'s algorithm): `regA = regA * regB`, keeping the low word.' },
+    { mnemonic: 'LXI', opcode: 0b00100000, format: 'indexImmediate', description: '**L**oad inde**X** **I**mmediate: `Xn = operand`, sign-extended.' },
+    { mnemonic: 'LXA', opcode: 0b00100001, format: 'index', description: '**L**oad inde**X** from **A**: `Xn = regA`.' },
+    { mnemonic: 'INX', opcode: 0b00100010, format: 'indexImmediate', description: '**In**crement inde**X**: `Xn = Xn + operand` (the operand may be negative).' },
+    { mnemonic: 'JXN', opcode: 0b00100011, format: 'indexRelative', description: '**J**ump if inde**X** **N**on-zero: Jumps (relative) if `Xn` is not zero.' },
+    { mnemonic: 'CALL', opcode: 0b00100100, format: 'relative', description: '**Call** subroutine: pushes the return address (the next instruction) on the return stack, then `pc = baseAddress + operand`.' },
+    { mnemonic: 'RET', opcode: 0b00100101, format: 'none', description: '**Ret**urn from subroutine: pops the return stack into `pc`.' },
+    { mnemonic: 'RDN', opcode: 0b00100110, format: 'none', description: '**R**ea**d** **N**umber: `regA = ` the next number on the paper tape.' },
+    { mnemonic: 'RDC', opcode: 0b00100111, format: 'none', description: '**R**ea**d** **C**haracter: `regA = ` the next 5-bit row on the paper tape.' },
+    { mnemonic: 'JTE', opcode: 0b00101000, format: 'relative', description: '**J**ump if **T**ape **E**nded: Jumps (relative) if the paper tape has been read to its end.' },
+    { mnemonic: 'PRH', opcode: 0b00101001, format: 'none', description: '**Pr**int **H**ex: Prints `regA` in hexadecimal, every digit of the word.' },
+    { mnemonic: 'PRO', opcode: 0b00101010, format: 'none', description: '**Pr**int **O**ctal: Prints `regA` in octal, every digit of the word.' },
+    { mnemonic: 'PRB', opcode: 0b00101011, format: 'none', description: '**Pr**int **B**inary: Prints `regA` in binary, every bit of the word.' },
+    { mnemonic: 'PRF', opcode: 0b00101100, format: 'none', description: '**Pr**int **F**raction: Prints `regA` as a signed fraction, binary point after the sign bit.' },
+    { mnemonic: 'PCH', opcode: 0b00101101, format: 'none', description: '**P**rint **Ch**aracter: Types the character whose code is in the low bits of `regA`.' },
+    { mnemonic: 'HLT', opcode: 0b00001111, format: 'none', description: '**Halt**: Stops the CPU.' },
+];
+
+/**
+ * Indexes an instruction list by mnemonic and by opcode.
+ * @throws {Error} If two instructions share a mnemonic or an opcode, or an
+ *         instruction's opcode or format is invalid.
+ */
+function buildIsa(instructions) {
+    const byMnemonic = {};
+    const byOpcode = new Map();
+    for (const instruction of instructions) {
+        const { mnemonic, opcode, format } = instruction;
+        if (!OPERAND_FORMATS[format]) {
+            throw new Error(`ISA: ${mnemonic} has unknown operand format '${format}'`);
+        }
+        if (!Number.isInteger(opcode) || opcode < 0 || opcode >= 2 ** OPCODE_WIDTH) {
+            throw new Error(`ISA: ${mnemonic} opcode ${opcode} does not fit in ${OPCODE_WIDTH} bits`);
+        }
+        if (byMnemonic[mnemonic]) {
+            throw new Error(`ISA: mnemonic ${mnemonic} is defined twice`);
+        }
+        if (byOpcode.has(opcode)) {
+            throw new Error(`ISA: ${mnemonic} and ${byOpcode.get(opcode).mnemonic} share opcode 0b${opcode.toString(2).padStart(OPCODE_WIDTH, '0')}`);
+        }
+        byMnemonic[mnemonic] = instruction;
+        byOpcode.set(opcode, instruction);
+    }
+    return { instructions, byMnemonic, byOpcode };
+}
+
+const ISA = buildIsa(INSTRUCTIONS);
+
+/**
+ * Builds an instruction word. Values are cut to their field's width, so
+ * negative values are stored in two's complement.
+ * @param {object} instruction An entry of INSTRUCTIONS.
+ * @param {bigint[]} values One value per operand field, in source order.
+ * @param {object} [options={}]
+ * @param {string} [options.wordFormat='sequential'] A key of WORD_FORMATS.
+ * @param {number} [options.successor=0] The next instruction's address, in
+ *        the successor format.
+ * @param {object} [options.geometry=DEFAULT_GEOMETRY] See geometry.js.
+ * @returns {bigint}
+ */
+function encode(instruction, values = [], options = {}) {
+    const wordFormat = options.wordFormat || 'sequential';
+    const geometry = options.geometry || DEFAULT_GEOMETRY;
+    let word = BigInt(instruction.opcode) << BigInt(geometry.operandWidth);
+    operandFormats(wordFormat, geometry)[instruction.format].fields.forEach((field, i) => {
+        word |= BigInt.asUintN(field.width, BigInt(values[i] || 0n)) << BigInt(field.shift);
+    });
+    const successor = wordFormatLayout(wordFormat, geometry).successor;
+    if (successor) {
+        word |= BigInt.asUintN(successor.width, BigInt(options.successor || 0)) << BigInt(successor.shift);
+    }
+    return word;
+}
+
+/**
+ * Splits an instruction word into opcode, operand and the operand fields of
+ * its format, sign-extending signed fields. `instruction` is null if the
+ * opcode is not defined; `successor` is null in the sequential format.
+ * @param {bigint} word
+ * @param {string} [wordFormat='sequential'] A key of WORD_FORMATS.
+ * @param {object} [geometry=DEFAULT_GEOMETRY] See geometry.js.
+ * @returns {{instruction: object|null, opcode: number, operand: bigint,
+ *            fields: Object<string, bigint>, successor: number|null}}
+ */
+function decode(word, wordFormat = 'sequential', geometry = DEFAULT_GEOMETRY) {
+    const { operandWidth, successor: successorField } = wordFormatLayout(wordFormat, geometry);
+    const opcode = Number(word >> BigInt(geometry.operandWidth));
+    const operand = word & ((1n << BigInt(operandWidth)) - 1n);
+    const successor = successorField
+        ? Number((word >> BigInt(successorField.shift)) & ((1n << BigInt(successorField.width)) - 1n))
+        : null;
+    const instruction = ISA.byOpcode.get(opcode) || null;
+    const fields = {};
+    if (instruction) {
+        for (const field of operandFormats(wordFormat, geometry)[instruction.format].fields) {
+            const bits = (operand >> BigInt(field.shift)) & ((1n << BigInt(field.width)) - 1n);
+            fields[field.name] = field.signed ? BigInt.asIntN(field.width, bits) : bits;
+        }
+    }
+    return { instruction, opcode, operand, fields, successor };
+}
+
+/**
+ * Turns an instruction word back into assembly text. Words whose opcode is not
+ * an instruction are shown as data. Given a symbol lookup, jump and program
+ * memory addresses are shown as the labels found there.
+ * @param {bigint} word
+ * @param {object} [context={}]
+ * @param {function(number): (string|undefined)} [context.labelAt] Name of the
+ *        label at an absolute address, if any.
+ * @param {number} [context.baseAddress=0] Base address that relative operands count from.
+ * @param {string} [context.wordFormat='sequential'] A key of WORD_FORMATS; in
+ *        the successor format the next address is shown as `-> address`.
+ * @param {object} [context.geometry=DEFAULT_GEOMETRY] See geometry.js.
+ * @returns {string}
+ */
+function disassemble(word, context = {}) {
+    const wordFormat = context.wordFormat || 'sequential';
+    const geometry = context.geometry || DEFAULT_GEOMETRY;
+    const { instruction, fields, successor } = decode(word, wordFormat, geometry);
+    if (!instruction) {
+        return `.WORD ${word}`;
+    }
+    const format = operandFormats(wordFormat, geometry)[instruction.format];
+    const labelAt = context.labelAt || (() => undefined);
+    const operands = format.fields.filter(({ name, optional }) => !(optional && fields[name] === 0n)).map(({ name }) => {
+        const value = fields[name];
+        if (name === 'address') {
+            return labelAt(Number(value)) || String(value);
+        }
+        if (name === 'offset') {
+            return labelAt((context.baseAddress || 0) + Number(value)) || String(value);
+        }
+        if (name === 'index') {
+            return `X${value}`;
+        }
+        return String(value);
+    }).join(', ');
+    const text = operands ? `${instruction.mnemonic} ${operands}` : instruction.mnemonic;
+    return successor === null ? text : `${text} -> ${labelAt(successor) || successor}`;
+}
+
+/**
+ * Reads an index register operand, `X1` up to the machine's last index
+ * register (case-insensitive).
+ * @param {string} text
+ * @param {object} [geometry=DEFAULT_GEOMETRY] See geometry.js.
+ * @returns {number} The register number, from 1.
+ * @throws {Error} If the text names no index register of the machine.
+ */
+function parseIndexRegister(text, geometry = DEFAULT_GEOMETRY) {
+    const match = /^X(\d+)$/i.exec(text.trim());
+    const number = match ? Number(match[1]) : 0;
+    if (number < 1 || number > geometry.indexRegisters) {
+        throw new Error(`expected an index register X1 to X${geometry.indexRegisters}, got '${text.trim()}'`);
+    }
+    return number;
+}
+
+// --- README TABLE ---
+const README_TABLE_START = '<!-- ISA TABLE START (generated by `node isa.js --write-readme`) -->';
+const README_TABLE_END = '<!-- ISA TABLE END -->';
+
+// The instruction set as the Markdown table used in README.md.
+function markdownTable() {
+    const rows = [
+        '| Mnemonic | Opcode (binary) | Operands | Description |',
+        '| :--- | :--- | :--- | :--- |',
+    ];
+    for (const { mnemonic, opcode, format, description } of ISA.instructions) {
+        const syntax = OPERAND_FORMATS[format].syntax;
+        rows.push(`| \`${mnemonic}\` | \`${opcode.toString(2).padStart(OPCODE_WIDTH, '0')}\` | ${syntax ? `\`${syntax}\`` : ''} | ${description} |`);
+    }
+    return rows.join('\n');
+}
+
+// Replaces the generated table between the markers in README.md.
+function writeReadmeTable(readmePath = path.join(__dirname, 'README.md')) {
+    const readme = fs.readFileSync(readmePath, 'utf8');
+    const start = readme.indexOf(README_TABLE_START);
+    const end = readme.indexOf(README_TABLE_END);
+    if (start < 0 || end < start) {
+        throw new Error(`${readmePath} has no ISA table markers`);
+    }
+    const table = `${README_TABLE_START}\n${markdownTable()}\n`;
+    fs.writeFileSync(readmePath, readme.slice(0, start) + table + readme.slice(end));
+}
+
+module.exports = {
+    OPCODE_WIDTH,
+    OPERAND_WIDTH,
+    INSTRUCTION_WIDTH,
+    SUCCESSOR_WIDTH,
+    WORD_FORMATS,
+    wordFormatLayout,
+    OPERAND_FORMATS,
+    operandFormats,
+    INSTRUCTIONS,
+    ISA,
+    buildIsa,
+    encode,
+    decode,
+    disassemble,
+    parseIndexRegister,
+    markdownTable,
+    writeReadmeTable,
+};
+
+if (require.main === module) {
+    if (process.argv.includes('--write-readme')) {
+        writeReadmeTable();
+    } else {
+        console.log(markdownTable());
+    }
+}
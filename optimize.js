@@ -0,0 +1,326 @@
+/**
+ * optimize.js
+ *
+ * Optimum placement of program words, in the spirit of SOAP on the IBM 650.
+ *
+ * Main memory circulates on every tick of the machine clock, so after an
+ * access the head moves on past the word and then past one word for every
+ * word time the instruction takes to execute. Moving from word `a` to word
+ * `b` after `e` word times of execution therefore costs `(b - a - 1 - e) mod N`
+ * words of waiting: nothing when `b` comes round just as the instruction
+ * finishes, almost a full revolution when it has just gone by.
+ *
+ * The program is cut into blocks that must stay together: runs of words that
+ * execution falls through, ending after a JMP, JMPA, RET or HLT. In the successor
+ * word format (see isa.js) every instruction names the next, so each
+ * statement is a block of its own and can go anywhere. A run of the
+ * program as written counts how often execution moves between each pair of
+ * words (fetches and LDP/STP operands alike), and after how many word times
+ * of execution. The optimizer then moves one
+ * block at a time to the free origin that minimises the total wait, until no
+ * move helps, and assembles the program again at those addresses; labels
+ * follow their words, so jumps and the addresses loaded by LEA/LEB stay right.
+ * A block holding a word that an instruction names by number rather than by
+ * label (`LDP 255`, `JMPA 12`) is pinned where it was written. The placed
+ * program is run again, and if it prints or halts differently from the
+ * program as written, the written layout is kept.
+ *
+ * Data memory is left as written: instructions address it by number rather
+ * than by label, so its words cannot be moved safely.
+ */
+
+const { createMachine, loadProgram, runProgram } = require('./cpu2m3');
+const { assemble } = require('./assembler');
+const { WORD_FORMATS, decode } = require('./isa');
+const { Teleprinter } = require('./teleprinter');
+
+// Instructions after which execution never falls through to the next word.
+const NO_FALL_THROUGH = new Set(['JMP', 'JMPA', 'RET', 'HLT']);
+// Instructions whose operand is a program address, and its field.
+const PROGRAM_ADDRESS_FIELDS = { JMPA: 'address', LDP: 'address', STP: 'address', LEA: 'value', LEB: 'value' };
+const MAX_ROUNDS = 50;
+
+// Words the delay line circulates between accessing word `from` and word `to`
+// when `gap` word times of execution come between them. Main memory may be
+// built from several tanks turning in lockstep (see createMachine() in
+// cpu2m3.js); the wait then depends only on positions within a tank, so
+// `wordsPerTank` is the modulus.
+function waitWords(from, to, wordsPerTank, gap = 0) {
+    return (((to - from - 1 - gap) % wordsPerTank) + wordsPerTank) % wordsPerTank;
+}
+
+/**
+ * Cuts an assembled program into blocks that must stay contiguous. `key` is
+ * the sequence number of the first source line that belongs to the block:
+ * the line after the previous block's last word, so labels on lines of their
+ * own move with the block. A block is `pinned` if an instruction names one
+ * of its words by number.
+ * @param {object} image Output of `assemble()`.
+ * @returns {{key: number, address: number, length: number, file: string, line: number, pinned: boolean}[]}
+ */
+function splitBlocks(image) {
+    const wordFormat = image.wordFormat || 'sequential';
+    const blocks = [];
+    let block = null;
+    let previous = null;
+    for (const statement of image.statements) {
+        if (statement.memory !== 'program' || statement.count === 0) continue;
+        const fallsThrough = previous
+            && !WORD_FORMATS[wordFormat].successor
+            && previous.address + previous.count === statement.address
+            && !(previous.kind === 'instruction' && NO_FALL_THROUGH.has(decode(previous.values[0], 'sequential', image.geometry).instruction.mnemonic));
+        if (!fallsThrough) {
+            block = {
+                key: previous ? previous.index + 1 : 0,
+                address: statement.address,
+                length: 0,
+                file: statement.file,
+                line: statement.line,
+                pinned: false,
+            };
+            blocks.push(block);
+        }
+        block.length += statement.count;
+        previous = statement;
+    }
+    for (const address of literalAddresses(image)) {
+        const block = blocks.find(b => address >= b.address && address < b.address + b.length);
+        if (block) block.pinned = true;
+    }
+    return blocks;
+}
+
+// The program addresses that instructions name by number: the operands of
+// JMPA, LDP, STP, LEA and LEB written without a label.
+function literalAddresses(image) {
+    const wordFormat = image.wordFormat || 'sequential';
+    const addresses = [];
+    for (const statement of image.statements) {
+        if (statement.kind !== 'instruction' || statement.labelled || !statement.values) continue;
+        const { instruction, fields } = decode(statement.values[0], wordFormat, image.geometry);
+        const field = PROGRAM_ADDRESS_FIELDS[instruction.mnemonic];
+        if (field) addresses.push(Number(fields[field]));
+    }
+    return addresses;
+}
+
+/**
+ * Runs an assembled program, counting the moves between program words.
+ * @param {object} image Output of `assemble()`.
+ * @param {number} maxSteps Most instructions to execute.
+ * @param {object} [machine={}] Options for `createMachine()`, such as `programTanks`;
+ *        the geometry is the program's. A paper `tape` is rewound before the
+ *        run and after it.
+ * @returns {{transitions: {from: number|null, to: number, gap: number, count: number}[],
+ *            totalTicks: number, steps: number, haltReason: string, outputs: bigint[],
+ *            printed: string}}
+ *          `gap` is the word times between the end of the access to `from`
+ *          and the start of the wait for `to`. `from` is null for the first
+ *          fetch, whose gap counts from tick 0, when word 0 was under the head.
+ */
+function measureRun(image, maxSteps, machine = {}) {
+    const cpu = createMachine({ ...machine, geometry: image.geometry, traceLevel: 'instr', logger: null, teleprinter: new Teleprinter() });
+    const transitions = new Map();
+    let previous = null;
+    let accessEnd = 0; // the tick the last program word finished passing the head
+    cpu.on('align-wait', record => {
+        if (record.memory !== 'program') return;
+        const gap = (record.tick - accessEnd) / cpu.wordSize;
+        const key = `${previous}:${record.to}:${gap}`;
+        if (!transitions.has(key)) transitions.set(key, { from: previous, to: record.to, gap, count: 0 });
+        transitions.get(key).count++;
+        previous = record.to;
+        accessEnd = record.tick + record.ticks + cpu.wordSize;
+    });
+    if (machine.tape) machine.tape.rewind();
+    loadProgram(cpu, image);
+    const result = runProgram(cpu, { cycleLimit: maxSteps });
+    if (machine.tape) machine.tape.rewind();
+    return {
+        transitions: [...transitions.values()],
+        totalTicks: result.totalTicks,
+        steps: result.steps,
+        haltReason: result.haltReason,
+        outputs: result.outputs,
+        printed: result.printed,
+    };
+}
+
+/**
+ * Chooses a new origin for every block. Two layouts are improved one block
+ * move at a time until no move helps: the layout as written, and one built
+ * up from the pinned blocks and the entry block, as low as it fits, by adding
+ * the block with the most traffic to those already placed, each where it
+ * waits least. The cheaper result wins. Pinned blocks never move.
+ * @param {object[]} blocks From `splitBlocks()`.
+ * @param {object[]} transitions From `measureRun()` on the program as written.
+ * @param {number} numWords Words of main memory.
+ * @param {number} [wordsPerTank=numWords] Words in each tank of main memory.
+ * @returns {{origins: number[], before: number, after: number}} The origins
+ *          and the predicted wait, in words, of the old and new layouts.
+ */
+function chooseOrigins(blocks, transitions, numWords, wordsPerTank = numWords) {
+    // Where each word of the written program sits in its block.
+    const home = new Map();
+    blocks.forEach((block, index) => {
+        for (let offset = 0; offset < block.length; offset++) home.set(block.address + offset, { index, offset });
+    });
+    // Transitions between words of unplaced blocks (origin null) are not
+    // counted. Word 0 is under the head when the clock starts.
+    const cost = origins => {
+        const position = address => {
+            const at = home.get(address);
+            if (!at) return address;
+            return origins[at.index] === null ? null : origins[at.index] + at.offset;
+        };
+        let words = 0;
+        for (const { from, to, gap, count } of transitions) {
+            const start = from === null ? -1 : position(from);
+            const end = position(to);
+            if (start !== null && end !== null) words += count * waitWords(start, end, wordsPerTank, gap);
+        }
+        return words;
+    };
+    const fits = (origins, index, origin) => origin + blocks[index].length <= numWords
+        && blocks.every((block, other) => other === index || origins[other] === null
+            || origin + blocks[index].length <= origins[other]
+            || origins[other] + block.length <= origin);
+    // Moves block `index` to its cheapest origin; returns the new cost.
+    const moveBest = (origins, index, current) => {
+        if (blocks[index].pinned) return current;
+        let best = current;
+        let bestOrigin = origins[index];
+        for (let origin = 0; origin + blocks[index].length <= numWords; origin++) {
+            if (!fits(origins, index, origin)) continue;
+            origins[index] = origin;
+            const words = cost(origins);
+            if (words < best) {
+                best = words;
+                bestOrigin = origin;
+            }
+        }
+        origins[index] = bestOrigin;
+        return best;
+    };
+    const improve = origins => {
+        let words = cost(origins);
+        for (let round = 0; round < MAX_ROUNDS; round++) {
+            const before = words;
+            blocks.forEach((block, index) => { words = moveBest(origins, index, words); });
+            if (words === before) break;
+        }
+        return words;
+    };
+
+    const written = blocks.map(block => block.address);
+    const before = cost(written);
+    const writtenCost = improve(written);
+
+    const built = blocks.map(block => block.pinned ? block.address : null);
+    const first = transitions.find(t => t.from === null);
+    const entry = first && home.has(first.to) ? home.get(first.to).index : 0;
+    if (built[entry] === null) {
+        built[entry] = [...Array(numWords).keys()].find(origin => fits(built, entry, origin));
+    }
+    const traffic = index => transitions.reduce((sum, { from, to, count }) => {
+        const ends = [from, to].map(address => home.has(address) ? home.get(address).index : null);
+        const other = ends[0] === index ? ends[1] : ends[1] === index ? ends[0] : null;
+        return other !== null && built[other] !== null ? sum + count : sum;
+    }, 0);
+    for (let placed = built.filter(origin => origin !== null).length; placed < blocks.length; placed++) {
+        let next = null;
+        blocks.forEach((block, index) => {
+            if (built[index] === null && (next === null || traffic(index) > traffic(next))) next = index;
+        });
+        const free = [...Array(numWords).keys()].find(origin => fits(built, next, origin));
+        if (free === undefined) return { origins: blocks.map(block => block.address), before, after: before };
+        built[next] = free;
+        moveBest(built, next, cost(built));
+    }
+    const builtCost = improve(built);
+
+    return builtCost < writtenCost
+        ? { origins: built, before, after: builtCost }
+        : { origins: written, before, after: writtenCost };
+}
+
+/**
+ * Places a program's words to minimise rotational waits, then measures both
+ * layouts by running them.
+ * @param {string} source Assembly source text.
+ * @param {object} image Output of `assemble(source, options)`: the layout as written.
+ * @param {object} [options={}] Options for `assemble()`, plus:
+ * @param {number} [options.maxSteps=100000] Most instructions each run executes.
+ * @param {number} [options.programTanks=1] Tanks of the machine the program runs on.
+ * @param {PaperTapeReader} [options.tape] The tape both runs read (see tape.js).
+ * @returns {object} `image` (the optimized program, or `image` as written if
+ *          the placed one behaved differently), `blocks` (with their chosen
+ *          `origin`), `predicted` and `measured` ({ before, after } in ticks,
+ *          `after` for the placed program), and `sameBehaviour` (both runs
+ *          printed the same and halted alike).
+ * @throws {AssemblyError} If the program cannot be assembled at its new addresses.
+ */
+function optimizePlacement(source, image, options = {}) {
+    const numWords = options.numWords !== undefined ? options.numWords : image.geometry.memoryWords;
+    const maxSteps = options.maxSteps || 100000;
+    const programTanks = options.programTanks || 1;
+    const blocks = splitBlocks(image);
+    const before = measureRun(image, maxSteps, { programTanks, tape: options.tape });
+    const layout = chooseOrigins(blocks, before.transitions, numWords, numWords / programTanks);
+    blocks.forEach((block, i) => { block.origin = layout.origins[i]; });
+
+    const placement = new Map(blocks.map(block => [block.key, block.origin]));
+    const optimized = assemble(source, { ...options, geometry: image.geometry, placement });
+    const after = measureRun(optimized, maxSteps, { programTanks, tape: options.tape });
+    const sameBehaviour = after.haltReason === before.haltReason
+        && after.outputs.length === before.outputs.length
+        && after.outputs.every((value, i) => value === before.outputs[i])
+        && after.printed === before.printed;
+
+    return {
+        image: sameBehaviour ? optimized : image,
+        blocks,
+        predicted: {
+            before: before.totalTicks,
+            after: before.totalTicks - (layout.before - layout.after) * image.geometry.wordSize,
+        },
+        measured: { before: before.totalTicks, after: after.totalTicks },
+        sameBehaviour,
+    };
+}
+
+/**
+ * Describes an optimization: where each block went and the tick savings.
+ * @param {object} result Output of `optimizePlacement()`.
+ * @returns {string}
+ */
+function formatOptimization(result) {
+    const sources = result.blocks.map(block => `${block.file}:${block.line}`);
+    const width = Math.max(12, ...sources.map(source => source.length + 2));
+    const out = [];
+    out.push(`--- Placement: ${result.blocks.length} block(s) ---`);
+    out.push(`${'Source'.padEnd(width)}${'Words'.padStart(6)}${'Written'.padStart(9)}${'Placed'.padStart(8)}`);
+    result.blocks.forEach((block, i) => {
+        out.push(`${sources[i].padEnd(width)}${String(block.length).padStart(6)}${String(block.address).padStart(9)}${String(block.origin).padStart(8)}`
+            + (block.pinned ? '  pinned' : ''));
+    });
+    out.push('');
+    out.push(`${''.padEnd(12)}${'Written'.padStart(10)}${'Placed'.padStart(10)}${'Saved'.padStart(10)}`);
+    for (const [title, ticks] of [['Predicted', result.predicted], ['Measured', result.measured]]) {
+        out.push(`${title.padEnd(12)}${String(ticks.before).padStart(10)}${String(ticks.after).padStart(10)}${String(ticks.before - ticks.after).padStart(10)}`);
+    }
+    out.push('Predicted counts only the waits for program words; data waits are taken as written.');
+    if (!result.sameBehaviour) {
+        out.push('WARNING: the placed program printed different values or halted differently; keeping the layout as written');
+    }
+    return out.join('\n') + '\n';
+}
+
+module.exports = {
+    waitWords,
+    splitBlocks,
+    measureRun,
+    chooseOrigins,
+    optimizePlacement,
+    formatOptimization,
+};
@@ -0,0 +1,211 @@
+/**
+ * physical.js
+ *
+ * A physical model of the delay lines of SimpleCPU (cpu2m3.js), which by
+ * themselves count abstract ticks. It gives the ticks a pulse rate, so runs
+ * can be timed in microseconds and milliseconds against published EDVAC and
+ * EDSAC timings, and it gives each line a length in a medium, mercury or
+ * magnetostrictive wire:
+ *  - Sound crosses the line at a speed that changes with temperature, so a
+ *    line cut to hold its bits at the design temperature holds more or fewer
+ *    as the temperature drifts. A regenerator can retime pulses to the clock
+ *    only while they arrive within `tolerance` of a bit period of their
+ *    time; beyond that the line's timing margin fails.
+ *  - A pulse loses `attenuation` dB per metre of the medium, and
+ *    `transducerLoss` dB getting in and out of it, against the `gain` dB of
+ *    the regenerator's amplifier; a line that loses more than the gain fails
+ *    its signal margin.
+ * The CPU compares both margins with their limits before every instruction,
+ * at the temperature of that tick, and a failed margin is a machine fault:
+ * SIGNAL_LOSS or TIMING_MARGIN. Only the margins are modelled: the pulses
+ * are not followed round the lines or regenerated revolution by revolution.
+ *
+ * The figures for the media are rough, for teaching rather than engineering.
+ */
+
+/**
+ * The media a line can be made of: the speed of sound in metres per second
+ * at 20 °C, its change per degree, and the attenuation in dB per metre.
+ */
+const MEDIA = {
+    mercury: { description: 'mercury', speed: 1451, speedPerDegree: -0.46, attenuation: 1.5 },
+    wire: { description: 'magnetostrictive nickel wire', speed: 4900, speedPerDegree: -0.7, attenuation: 0.5 },
+};
+
+const DEFAULTS = {
+    medium: 'mercury',
+    pulseRate: 1e6,           // pulses (ticks) per second, as on EDVAC
+    lineLength: null,         // metres of a main memory tank; by default cut to fit
+    designTemperature: 40,    // °C, the thermostat setting the lines are cut for
+    temperature: null,        // °C at tick 0; by default the design temperature
+    temperatureDrift: 0,      // °C per second
+    tolerance: 0.25,          // timing drift the regenerator can retime, in bit periods
+    transducerLoss: 30,       // dB
+    gain: 60,                 // dB
+};
+const NUMBER_FIELDS = Object.keys(DEFAULTS).filter(name => name !== 'medium');
+
+// Rounds a number for display, dropping trailing zeros.
+function round(value, places) {
+    return Number(value.toFixed(places));
+}
+
+// The kinds of line in a machine, with the bits each holds.
+function lineKinds(cpu) {
+    return [
+        { line: 'main memory tank', bits: cpu.memory.banks[0].size },
+        { line: 'data bank', bits: cpu.dataMemory.banks[0].size },
+        { line: 'register', bits: cpu.wordSize },
+        { line: 'return stack', bits: cpu.returnStack.size },
+    ];
+}
+
+class PhysicalModel {
+    /**
+     * @param {object} [options={}] Any of the fields of DEFAULTS.
+     * @throws {Error} If the medium is unknown or a figure is out of range.
+     */
+    constructor(options = {}) {
+        for (const name of Object.keys(DEFAULTS)) {
+            this[name] = options[name] !== undefined && options[name] !== null ? options[name] : DEFAULTS[name];
+        }
+        if (!MEDIA[this.medium]) {
+            throw new Error(`physical: unknown medium '${this.medium}' (expected ${Object.keys(MEDIA).join(' or ')})`);
+        }
+        if (this.temperature === null) this.temperature = this.designTemperature;
+        for (const name of NUMBER_FIELDS) {
+            if (this[name] !== null && !Number.isFinite(this[name])) {
+                throw new Error(`physical: ${name} must be a number, got ${this[name]}`);
+            }
+        }
+        for (const name of ['pulseRate', 'lineLength', 'tolerance']) {
+            if (this[name] !== null && this[name] <= 0) {
+                throw new Error(`physical: ${name} must be positive, got ${this[name]}`);
+            }
+        }
+    }
+
+    // Speed of sound in the medium at a temperature, in metres per second.
+    speed(temperature) {
+        const medium = MEDIA[this.medium];
+        return medium.speed + medium.speedPerDegree * (temperature - 20);
+    }
+
+    // Seconds a number of ticks take.
+    seconds(ticks) {
+        return ticks / this.pulseRate;
+    }
+
+    /**
+     * The time a number of ticks take.
+     * @param {number} ticks
+     * @returns {{microseconds: number, milliseconds: number}}
+     */
+    elapsed(ticks) {
+        const seconds = this.seconds(ticks);
+        return { microseconds: seconds * 1e6, milliseconds: seconds * 1e3 };
+    }
+
+    // The elapsed time as text: `183880 µs, 183.88 ms`.
+    formatElapsed(ticks) {
+        const { microseconds, milliseconds } = this.elapsed(ticks);
+        return `${round(microseconds, 3)} µs, ${round(milliseconds, 3)} ms`;
+    }
+
+    // The temperature of the lines after a number of ticks.
+    temperatureAt(ticks) {
+        return this.temperature + this.temperatureDrift * this.seconds(ticks);
+    }
+
+    // Metres of medium per bit. Every line is cut in proportion to its bits:
+    // to fit them exactly at the design temperature, or to `lineLength` for
+    // a main memory tank.
+    metresPerBit(cpu) {
+        if (this.lineLength !== null) return this.lineLength / cpu.memory.banks[0].size;
+        return this.speed(this.designTemperature) / this.pulseRate;
+    }
+
+    /**
+     * The figures of every kind of line in a machine after a number of ticks.
+     * @param {SimpleCPU} cpu
+     * @param {number} ticks
+     * @returns {object[]} For each kind: `line`, `bits`, `length` in metres,
+     *          `delay` in seconds, `drift` in bit periods (late is positive)
+     *          and the signal `margin` in dB.
+     */
+    lines(cpu, ticks) {
+        const metresPerBit = this.metresPerBit(cpu);
+        const speed = this.speed(this.temperatureAt(ticks));
+        const attenuation = MEDIA[this.medium].attenuation;
+        return lineKinds(cpu).map(({ line, bits }) => {
+            const length = bits * metresPerBit;
+            const delay = length / speed;
+            return {
+                line,
+                bits,
+                length,
+                delay,
+                drift: delay * this.pulseRate - bits,
+                margin: this.gain - attenuation * length - this.transducerLoss,
+            };
+        });
+    }
+
+    /**
+     * Checks the margins of a machine's lines at a tick.
+     * @param {SimpleCPU} cpu
+     * @param {number} ticks
+     * @returns {{fault: string, details: object}|null} The failed margin, if any.
+     */
+    check(cpu, ticks) {
+        const temperature = round(this.temperatureAt(ticks), 3);
+        for (const { line, margin } of this.lines(cpu, ticks)) {
+            if (margin < 0) {
+                return { fault: 'SIGNAL_LOSS', details: { line, margin: round(margin, 2) } };
+            }
+        }
+        for (const { line, drift } of this.lines(cpu, ticks)) {
+            if (Math.abs(drift) > this.tolerance) {
+                return { fault: 'TIMING_MARGIN', details: { line, drift: round(drift, 3), tolerance: this.tolerance, temperature } };
+            }
+        }
+        return null;
+    }
+
+    // The lines of a machine after a number of ticks, in words.
+    summary(cpu, ticks) {
+        const rate = this.pulseRate >= 1e6 ? `${round(this.pulseRate / 1e6, 3)} MHz` : `${round(this.pulseRate / 1e3, 3)} kHz`;
+        const lines = this.lines(cpu, ticks).map(({ line, bits, length, delay, drift, margin }) =>
+            `  ${line}: ${bits} bits, ${round(length, 3)} m, ${round(delay * 1e6, 3)} µs; `
+            + `drift ${round(drift, 3)} of ${this.tolerance} bit; signal margin ${round(margin, 1)} dB`);
+        return [
+            `physical: ${MEDIA[this.medium].description} at ${round(this.temperatureAt(ticks), 3)} °C, ${rate}`,
+            ...lines,
+        ].join('\n');
+    }
+}
+
+/**
+ * Reads a physical model written as `name=value` pairs separated by commas,
+ * as given on the command line: `medium=wire,pulseRate=500000`.
+ * @param {string} text
+ * @returns {PhysicalModel}
+ * @throws {Error} If a pair is malformed or names no field.
+ */
+function parsePhysical(text) {
+    const options = {};
+    for (const pair of text.split(',').map(part => part.trim()).filter(Boolean)) {
+        const match = /^(\w+)=(\S+)$/.exec(pair);
+        if (!match || !(match[1] in DEFAULTS)) {
+            throw new Error(`physical: expected name=value with name one of ${Object.keys(DEFAULTS).join(', ')}, got '${pair}'`);
+        }
+        options[match[1]] = match[1] === 'medium' ? match[2] : Number(match[2]);
+    }
+    return new PhysicalModel(options);
+}
+
+module.exports = {
+    MEDIA,
+    PhysicalModel,
+    parsePhysical,
+};
@@ -0,0 +1,309 @@
+/**
+ * profiler.js
+ *
+ * A rotational latency profiler for SimpleCPU (cpu2m3.js).
+ *
+ * Like the trace writers in trace.js, the profiler listens to the CPU's
+ * events, so the CPU needs a trace level of at least 'instr'. It splits every
+ * instruction's ticks into:
+ *
+ *   fetch wait         circulation until the instruction reaches the head
+ *   fetch              reading the instruction word into IR
+ *   execute            the instruction's own work
+ *   LDP/STP alignment  circulation until an LDP/STP operand word arrives
+ *   stack alignment    circulation of the return stack before CALL or RET
+ *   data alignment     circulation of a data bank before a data access
+ *
+ * Ticks spent before the first profiled instruction (loading the program)
+ * are reported as 'program load', so the profile's total is the CPU's
+ * `totalTicks`.
+ *
+ * The report breaks the ticks down by instruction address and by label, and
+ * draws heatmaps of the main-memory and data-bank words that were accessed,
+ * shaded by how long the machine waited for each. For programs in the
+ * successor word format it also shows, per instruction, the successor it
+ * named and the fetch wait that choice cost.
+ */
+
+const { TRACE_LEVELS } = require('./trace');
+
+const CATEGORIES = [
+    { key: 'fetchWait', title: 'fetch wait' },
+    { key: 'fetch', title: 'fetch' },
+    { key: 'execute', title: 'execute' },
+    { key: 'programAlign', title: 'LDP/STP alignment' },
+    { key: 'stackAlign', title: 'stack alignment' },
+    { key: 'dataAlign', title: 'data alignment' },
+];
+
+// Heatmap shades, from accessed-without-waiting to the longest wait.
+const SHADES = '.-+*#@';
+const HOTTEST_WORDS = 10;
+
+const emptyCounts = () => ({ runs: 0, fetchWait: 0, fetch: 0, execute: 0, programAlign: 0, stackAlign: 0, dataAlign: 0 });
+const countsTotal = counts => CATEGORIES.reduce((sum, { key }) => sum + counts[key], 0);
+
+/**
+ * Collects the profile of a running CPU. Create it before the program runs;
+ * `report()` can be called at any time.
+ */
+class Profiler {
+    /**
+     * @param {SimpleCPU} cpu
+     * @throws {Error} If the CPU's trace level is below 'instr'.
+     */
+    constructor(cpu) {
+        if (TRACE_LEVELS[cpu.traceLevel] < TRACE_LEVELS.instr) {
+            throw new Error(`profiling needs a trace level of 'instr' or 'bit', not '${cpu.traceLevel}'`);
+        }
+        this.cpu = cpu;
+        this.loadTicks = null;
+        this.byAddress = new Map();    // address -> counts
+        this.bankAlign = new Array(cpu.dataMemory.numBanks).fill(0);
+        this.programWords = new Map(); // address -> { accesses, wait }
+        this.dataWords = new Map();    // 'bank,word' -> { bank, word, accesses, wait }
+        this.handovers = new Map();    // address -> { successor, nextWait }
+        this.current = null;           // the instruction being profiled
+        this.listener = record => this.record(record);
+        cpu.on('trace', this.listener);
+    }
+
+    // Stops listening to the CPU.
+    detach() {
+        this.cpu.off('trace', this.listener);
+    }
+
+    record(record) {
+        switch (record.event) {
+            case 'align-wait':
+                if (record.memory === 'data') {
+                    this.bankAlign[record.bank] += record.ticks;
+                    if (this.current) this.current.counts.dataAlign += record.ticks;
+                    const key = `${record.bank},${record.to}`;
+                    if (!this.dataWords.has(key)) {
+                        this.dataWords.set(key, { bank: record.bank, word: record.to, accesses: 0, wait: 0 });
+                    }
+                    const word = this.dataWords.get(key);
+                    word.accesses++;
+                    word.wait += record.ticks;
+                } else if (record.memory === 'stack') {
+                    if (this.current) this.current.counts.stackAlign += record.ticks;
+                } else if (this.current && this.current.operandPending) {
+                    this.current.operandPending = false;
+                    this.current.counts.programAlign += record.ticks;
+                    this.countProgramWord(record.to, record.ticks);
+                } else {
+                    if (this.current) this.current.nextWait = record.ticks;
+                    this.finish(record.tick);
+                    if (this.loadTicks === null) this.loadTicks = record.tick;
+                    const counts = emptyCounts();
+                    counts.fetchWait = record.ticks;
+                    this.current = { address: record.to, start: record.tick, fetched: null, counts, operandPending: false };
+                    this.countProgramWord(record.to, record.ticks);
+                }
+                break;
+            case 'fetch':
+                if (this.current) {
+                    this.current.fetched = record.tick;
+                    if (record.successor !== undefined) this.current.successor = record.successor;
+                    this.current.counts.fetch = record.tick - this.current.start - this.current.counts.fetchWait;
+                }
+                break;
+            case 'exec':
+                if (this.current) this.current.operandPending = record.mnemonic === 'LDP' || record.mnemonic === 'STP';
+                break;
+            case 'halt':
+                this.finish(record.tick);
+                break;
+        }
+    }
+
+    countProgramWord(address, ticks) {
+        if (!this.programWords.has(address)) this.programWords.set(address, { accesses: 0, wait: 0 });
+        const word = this.programWords.get(address);
+        word.accesses++;
+        word.wait += ticks;
+    }
+
+    // Closes the current instruction at `tick`, adding it to its address.
+    finish(tick) {
+        const current = this.current;
+        if (!current) return;
+        this.current = null;
+        const counts = current.counts;
+        if (current.fetched !== null) {
+            counts.execute = tick - current.fetched - counts.programAlign - counts.stackAlign - counts.dataAlign;
+        }
+        counts.runs = 1;
+        if (!this.byAddress.has(current.address)) this.byAddress.set(current.address, emptyCounts());
+        const total = this.byAddress.get(current.address);
+        for (const key of Object.keys(counts)) total[key] += counts[key];
+        if (current.successor !== undefined) {
+            if (!this.handovers.has(current.address)) this.handovers.set(current.address, { successor: current.successor, nextWait: 0 });
+            const handover = this.handovers.get(current.address);
+            handover.successor = current.successor;
+            handover.nextWait += current.nextWait || 0;
+        }
+    }
+
+    /**
+     * The profile so far, with an instruction still in progress closed at the
+     * CPU's current tick.
+     * @returns {{loadTicks: number, totals: object, byAddress: Map, byLabel: Map,
+     *            bankAlign: number[], programWords: Map, dataWords: Map, handovers: Map}}
+     */
+    profile() {
+        this.finish(this.cpu.totalTicks);
+        const totals = emptyCounts();
+        const byLabel = new Map();
+        const addresses = [...this.byAddress.keys()].sort((a, b) => a - b);
+        for (const address of addresses) {
+            const counts = this.byAddress.get(address);
+            const label = this.labelFor(address);
+            if (!byLabel.has(label)) byLabel.set(label, emptyCounts());
+            for (const key of Object.keys(counts)) {
+                totals[key] += counts[key];
+                byLabel.get(label)[key] += counts[key];
+            }
+        }
+        return {
+            loadTicks: this.loadTicks || 0,
+            totals,
+            byAddress: new Map(addresses.map(address => [address, this.byAddress.get(address)])),
+            byLabel,
+            bankAlign: [...this.bankAlign],
+            programWords: this.programWords,
+            dataWords: this.dataWords,
+            handovers: this.handovers,
+        };
+    }
+
+    // The label at or nearest before an address: the routine it belongs to.
+    labelFor(address) {
+        let best = null;
+        for (const [labelAddress, name] of this.cpu.labels) {
+            if (labelAddress <= address && (best === null || labelAddress > best.address)) {
+                best = { address: labelAddress, name };
+            }
+        }
+        return best ? best.name : '(no label)';
+    }
+
+    /**
+     * The profile as text: ticks by category, by address and by label, the
+     * words that cost the longest waits and the memory heatmaps.
+     * @returns {string}
+     */
+    report() {
+        const profile = this.profile();
+        const { totals } = profile;
+        const grandTotal = profile.loadTicks + countsTotal(totals);
+        const percent = ticks => grandTotal === 0 ? '' : `${(100 * ticks / grandTotal).toFixed(1)}%`;
+        const out = [];
+
+        out.push('--- Rotational latency profile ---');
+        out.push(`${'Category'.padEnd(20)}${'Ticks'.padStart(10)}${'Share'.padStart(8)}`);
+        const categoryRow = (title, ticks) => `${title.padEnd(20)}${String(ticks).padStart(10)}${percent(ticks).padStart(8)}`;
+        out.push(categoryRow('program load', profile.loadTicks));
+        for (const { key, title } of CATEGORIES) out.push(categoryRow(title, totals[key]));
+        profile.bankAlign.forEach((ticks, bank) => {
+            if (ticks > 0) out.push(categoryRow(`  bank ${bank}`, ticks));
+        });
+        out.push(categoryRow('total', grandTotal));
+
+        const header = first => `${first}${'Runs'.padStart(7)}${CATEGORIES.map(({ title }) => title.padStart(title.length + 2)).join('')}${'Total'.padStart(9)}`;
+        const countsRow = (first, counts) => `${first}${String(counts.runs).padStart(7)}${CATEGORIES.map(({ key, title }) => String(counts[key]).padStart(title.length + 2)).join('')}${String(countsTotal(counts)).padStart(9)}`;
+        const labelWidth = Math.max(10, ...[...profile.byLabel.keys()].map(name => name.length + 1));
+
+        // In the successor format: the successor each instruction named and
+        // the fetch wait that followed it.
+        const handover = address => {
+            if (this.handovers.size === 0) return '';
+            const h = this.handovers.get(address);
+            return h ? `${String(h.successor).padStart(6)}${String(h.nextWait).padStart(11)}` : ''.padStart(17);
+        };
+
+        out.push('');
+        out.push('By address');
+        out.push(header(`${'Addr'.padStart(5)}  ${'Label'.padEnd(labelWidth)}`) + (this.handovers.size > 0 ? `${'Next'.padStart(6)}${'Next wait'.padStart(11)}` : ''));
+        for (const [address, counts] of profile.byAddress) {
+            const label = this.cpu.labels.get(address) || '';
+            out.push(countsRow(`${String(address).padStart(5)}  ${label.padEnd(labelWidth)}`, counts) + handover(address));
+        }
+
+        out.push('');
+        out.push('By label (each instruction counts towards the nearest label at or before it)');
+        out.push(header('Label'.padEnd(labelWidth + 7)));
+        for (const [label, counts] of profile.byLabel) {
+            out.push(countsRow(label.padEnd(labelWidth + 7), counts));
+        }
+
+        out.push('');
+        out.push(...this.formatHottest(profile));
+        out.push('');
+        out.push(...this.formatHeatmaps(profile));
+        return out.join('\n') + '\n';
+    }
+
+    // The words the machine waited longest for, program and data memory together.
+    formatHottest(profile) {
+        const words = [
+            ...[...profile.programWords].map(([address, stats]) => ({
+                where: `word ${address}`, label: this.cpu.labels.get(address) || '', ...stats,
+            })),
+            ...[...profile.dataWords.values()].map(stats => ({ where: `Mem[${stats.bank},${stats.word}]`, label: '', ...stats })),
+        ].sort((a, b) => b.wait - a.wait).slice(0, HOTTEST_WORDS);
+        const out = [`Longest waits (top ${HOTTEST_WORDS})`];
+        out.push(`${'Word'.padEnd(12)}${'Label'.padEnd(16)}${'Accesses'.padStart(9)}${'Wait'.padStart(9)}${'Avg wait'.padStart(10)}`);
+        for (const word of words) {
+            out.push(`${word.where.padEnd(12)}${word.label.padEnd(16)}${String(word.accesses).padStart(9)}${String(word.wait).padStart(9)}${String(Math.round(word.wait / word.accesses)).padStart(10)}`);
+        }
+        return out;
+    }
+
+    // Main memory as rows of 16 words and data memory as one row per bank,
+    // or per 16 words of a longer bank.
+    formatHeatmaps(profile) {
+        const maxWait = Math.max(0, ...[...profile.programWords.values(), ...profile.dataWords.values()].map(w => w.wait));
+        const shade = stats => {
+            if (!stats) return ' ';
+            if (stats.wait === 0 || maxWait === 0) return SHADES[0];
+            return SHADES[1 + Math.min(SHADES.length - 2, Math.floor((SHADES.length - 1) * stats.wait / (maxWait + 1)))];
+        };
+        const columns = '0123456789ABCDEF';
+        const out = [];
+        out.push(`Heatmaps: ' ' not accessed, '${SHADES[0]}' accessed without waiting, '${SHADES.slice(1)}' increasing wait up to ${maxWait} ticks`);
+        out.push('');
+        out.push('Main memory (row = first word address)');
+        out.push(`${''.padStart(6)}${columns}`);
+        const numWords = this.cpu.memory.size / this.cpu.regA.size;
+        for (let row = 0; row < numWords; row += columns.length) {
+            let cells = '';
+            for (let i = 0; i < columns.length && row + i < numWords; i++) cells += shade(profile.programWords.get(row + i));
+            out.push(`${String(row).padStart(4)}  ${cells}|`);
+        }
+        out.push('');
+        const { numBanks, wordsPerBank } = this.cpu.dataMemory;
+        const wraps = wordsPerBank > columns.length;
+        const rows = [];
+        for (let bank = 0; bank < numBanks; bank++) {
+            for (let first = 0; first < wordsPerBank; first += columns.length) {
+                let cells = '';
+                for (let word = first; word < first + columns.length && word < wordsPerBank; word++) {
+                    cells += shade(profile.dataWords.get(`${bank},${word}`));
+                }
+                rows.push({ label: wraps ? `${bank},${first}` : String(bank), cells });
+            }
+        }
+        const width = Math.max(4, ...rows.map(row => row.label.length));
+        out.push(wraps ? 'Data memory (row = bank,word of its first word, column = word)' : 'Data memory (row = bank, column = word)');
+        out.push(`${''.padStart(width + 2)}${columns.slice(0, wordsPerBank)}`);
+        for (const row of rows) out.push(`${row.label.padStart(width)}  ${row.cells}|`);
+        return out;
+    }
+}
+
+module.exports = {
+    CATEGORIES,
+    Profiler,
+};
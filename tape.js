@@ -0,0 +1,130 @@
+/**
+ * tape.js
+ *
+ * A paper-tape reader for SimpleCPU (cpu2m3.js), the machine's only input.
+ *
+ * A tape is either a tape of numbers or a tape of 5-bit character rows, the
+ * five holes across a teleprinter tape:
+ *  - numbers: decimal text, numbers separated by spaces, commas or newlines;
+ *    `;` starts a comment that runs to the end of the line. A number takes as
+ *    many characters of tape as it is written with, plus its separator.
+ *  - rows: one row per byte of a binary file or per element of an array,
+ *    each from 0 to 31.
+ *
+ * The reader is slow next to the delay lines: every character that passes
+ * the reading head costs `ticksPerCharacter` ticks, which the CPU charges to
+ * its clock. `RDN` and `RDC` read the next number or row into A (on a number
+ * tape `RDC` keeps its low 5 bits), and `JTE` tests for the end of the tape.
+ */
+
+const fs = require('fs');
+
+const TAPE_FORMATS = ['numbers', 'rows'];
+const ROW_BITS = 5;
+const TICKS_PER_CHARACTER = 400; // ten word times of the default machine
+
+/**
+ * Reads the numbers punched on a number tape.
+ * @param {string} text
+ * @returns {{value: bigint, characters: number}[]} Each number and the
+ *          characters of tape it takes.
+ * @throws {Error} If the text holds anything but decimal numbers.
+ */
+function parseNumberTape(text) {
+    const items = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        const code = line.replace(/;.*/, '');
+        for (const token of code.split(/[\s,]+/).filter(Boolean)) {
+            if (!/^[+-]?\d+$/.test(token)) {
+                throw new Error(`tape: line ${i + 1}: expected a decimal number, got '${token}'`);
+            }
+            items.push({ value: BigInt(token), characters: token.length + 1 });
+        }
+    });
+    return items;
+}
+
+// Checks the rows of a character tape.
+function checkRows(rows) {
+    return Array.from(rows, (row, i) => {
+        if (!Number.isInteger(row) || row < 0 || row >= 2 ** ROW_BITS) {
+            throw new Error(`tape: row ${i}: ${row} does not fit in ${ROW_BITS} holes`);
+        }
+        return { value: BigInt(row), characters: 1 };
+    });
+}
+
+/**
+ * A paper tape in its reader. Reading advances the tape; `rewind()` puts it
+ * back to the start.
+ */
+class PaperTapeReader {
+    /**
+     * @param {string|Buffer|number[]} content The text of a number tape, or
+     *        the rows of a character tape.
+     * @param {object} [options={}]
+     * @param {string} [options.format] 'numbers' or 'rows'; by default text is
+     *        a number tape and a Buffer or array a character tape.
+     * @param {number} [options.ticksPerCharacter=400] Ticks to read one character.
+     * @throws {Error} If the format is unknown or the content does not suit it.
+     */
+    constructor(content, options = {}) {
+        const format = options.format || (typeof content === 'string' ? 'numbers' : 'rows');
+        if (!TAPE_FORMATS.includes(format)) {
+            throw new Error(`tape: unknown format '${format}' (expected ${TAPE_FORMATS.join(' or ')})`);
+        }
+        const ticksPerCharacter = options.ticksPerCharacter !== undefined ? options.ticksPerCharacter : TICKS_PER_CHARACTER;
+        if (!Number.isInteger(ticksPerCharacter) || ticksPerCharacter < 0) {
+            throw new Error(`tape: ticksPerCharacter must be a non-negative integer, got ${ticksPerCharacter}`);
+        }
+        this.format = format;
+        this.ticksPerCharacter = ticksPerCharacter;
+        if (format === 'numbers') {
+            this.items = parseNumberTape(Buffer.isBuffer(content) ? content.toString('utf8') : String(content));
+        } else {
+            this.items = checkRows(content);
+        }
+        this.position = 0;
+    }
+
+    /**
+     * Loads a tape from a file: a text file for a number tape, a binary file
+     * of one row per byte for a character tape.
+     * @param {string} file
+     * @param {object} [options={}] As for the constructor; `format` defaults to 'numbers'.
+     * @returns {PaperTapeReader}
+     */
+    static fromFile(file, options = {}) {
+        const format = options.format || 'numbers';
+        const content = fs.readFileSync(file);
+        return new PaperTapeReader(content, { ...options, format });
+    }
+
+    // True once every number or row has been read.
+    atEnd() {
+        return this.position >= this.items.length;
+    }
+
+    /**
+     * Reads the next number or row.
+     * @returns {{value: bigint, ticks: number}|null} The value and the ticks the
+     *          tape took to pass the head, or null at the end of the tape.
+     */
+    read() {
+        if (this.atEnd()) return null;
+        const { value, characters } = this.items[this.position++];
+        return { value, ticks: characters * this.ticksPerCharacter };
+    }
+
+    rewind() {
+        this.position = 0;
+    }
+}
+
+module.exports = {
+    TAPE_FORMATS,
+    ROW_BITS,
+    TICKS_PER_CHARACTER,
+    PaperTapeReader,
+    parseNumberTape,
+};
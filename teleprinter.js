@@ -0,0 +1,143 @@
+/**
+ * teleprinter.js
+ *
+ * The teleprinter of SimpleCPU (cpu2m3.js), where all of the machine's
+ * output goes: the numbers printed by PRA and its variants, and the
+ * characters typed by PCH.
+ *
+ * PCH sends a character code, in one of the codes below:
+ *  - edsac: the 5-bit code of the EDSAC teleprinter. Letter shift (15) and
+ *    figure shift (11) choose between the two halves of the table.
+ *  - ita2:  the 5-bit International Telegraph Alphabet No. 2 (Baudot-Murray),
+ *    with letters (31) and figures (27) shifts.
+ *  - ascii: 7-bit ASCII.
+ * A shift character prints nothing but changes how the following codes print;
+ * codes a table leaves empty print nothing.
+ *
+ * Everything printed is kept in `text`, so embedding code and tests can read
+ * it back, and is also handed to the teleprinter's `sink` as it is printed.
+ */
+
+// Letter and figure halves of the 5-bit codes, by code. '' prints nothing.
+const EDSAC_LETTERS = ['P', 'Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'J', '', 'S', 'Z', 'K', '',
+    '', 'F', '\r', 'D', ' ', 'H', 'N', 'M', '\n', 'L', 'X', 'G', 'A', 'B', 'C', 'V'];
+const EDSAC_FIGURES = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '', '', '"', '+', '(', '',
+    '', '$', '\r', ';', ' ', '£', ',', '.', '\n', ')', '/', '#', '-', '?', ':', '='];
+const ITA2_LETTERS = ['', 'E', '\n', 'A', ' ', 'S', 'I', 'U', '\r', 'D', 'R', 'J', 'N', 'F', 'C', 'K',
+    'T', 'Z', 'L', 'W', 'H', 'Y', 'P', 'Q', 'O', 'B', 'G', '', 'M', 'X', 'V', ''];
+const ITA2_FIGURES = ['', '3', '\n', '-', ' ', '\'', '8', '7', '\r', '', '4', '\x07', ',', '', ':', '(',
+    '5', '+', ')', '2', '', '6', '0', '1', '9', '?', '', '', '.', '/', '=', ''];
+
+/**
+ * The character codes a teleprinter can use. `bits` is the width of a code;
+ * 5-bit codes have `letters` and `figures` tables and the codes of their two
+ * shift characters.
+ */
+const CHARACTER_CODES = {
+    edsac: { bits: 5, letters: EDSAC_LETTERS, figures: EDSAC_FIGURES, letterShift: 15, figureShift: 11 },
+    ita2: { bits: 5, letters: ITA2_LETTERS, figures: ITA2_FIGURES, letterShift: 31, figureShift: 27 },
+    ascii: { bits: 7 },
+};
+
+// The number formats of PRA and its variants.
+const NUMBER_FORMATS = ['decimal', 'hex', 'octal', 'binary', 'fraction'];
+
+/**
+ * A word as the teleprinter prints it. Hex, octal and binary show the raw
+ * word, padded to its full width; decimal is signed; a fraction reads the
+ * word as two's complement with the binary point after the sign bit, as
+ * EDSAC did, giving a value from -1 up to 1 shown to the decimal places
+ * the word can resolve (cut off, not rounded).
+ * @param {bigint} value The word, as an unsigned number.
+ * @param {string} format One of NUMBER_FORMATS.
+ * @param {number} wordSize Bits in the word.
+ * @returns {string}
+ */
+function formatNumber(value, format, wordSize) {
+    const word = BigInt.asUintN(wordSize, value);
+    const signed = BigInt.asIntN(wordSize, value);
+    switch (format) {
+        case 'decimal':
+            return String(signed);
+        case 'hex':
+            return word.toString(16).toUpperCase().padStart(Math.ceil(wordSize / 4), '0');
+        case 'octal':
+            return word.toString(8).padStart(Math.ceil(wordSize / 3), '0');
+        case 'binary':
+            return word.toString(2).padStart(wordSize, '0');
+        case 'fraction': {
+            const places = Math.ceil((wordSize - 1) * Math.log10(2));
+            const magnitude = signed < 0n ? -signed : signed;
+            const scaled = (magnitude * 10n ** BigInt(places)) >> BigInt(wordSize - 1);
+            const digits = scaled.toString().padStart(places + 1, '0');
+            return `${signed < 0n ? '-' : ''}${digits.slice(0, -places)}.${digits.slice(-places)}`;
+        }
+        default:
+            throw new Error(`teleprinter: unknown number format '${format}' (expected ${NUMBER_FORMATS.join(', ')})`);
+    }
+}
+
+class Teleprinter {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.code='ascii'] A key of CHARACTER_CODES.
+     * @param {function(string)} [options.sink] Receives the text as it is
+     *        printed; without one the text is only kept in `text`.
+     * @throws {Error} If the code is unknown.
+     */
+    constructor(options = {}) {
+        const code = options.code || 'ascii';
+        if (!CHARACTER_CODES[code]) {
+            throw new Error(`teleprinter: unknown character code '${code}' (expected ${Object.keys(CHARACTER_CODES).join(', ')})`);
+        }
+        this.code = code;
+        this.sink = options.sink || null;
+        this.clear();
+    }
+
+    // The number of bits in a character code.
+    get codeBits() {
+        return CHARACTER_CODES[this.code].bits;
+    }
+
+    // Forgets everything printed and returns to letter shift.
+    clear() {
+        this.text = '';
+        this.figures = false;
+    }
+
+    // Prints text as it stands.
+    write(text) {
+        if (text === '') return;
+        this.text += text;
+        if (this.sink) this.sink(text);
+    }
+
+    /**
+     * Types one character code, changing shift for a shift character.
+     * @param {number} value The code; bits above its width are ignored.
+     * @returns {string} The text printed, '' for a shift or an empty code.
+     */
+    type(value) {
+        const table = CHARACTER_CODES[this.code];
+        const code = value & ((1 << table.bits) - 1);
+        let text;
+        if (!table.letters) {
+            text = String.fromCharCode(code);
+        } else if (code === table.letterShift || code === table.figureShift) {
+            this.figures = code === table.figureShift;
+            text = '';
+        } else {
+            text = (this.figures ? table.figures : table.letters)[code];
+        }
+        this.write(text);
+        return text;
+    }
+}
+
+module.exports = {
+    CHARACTER_CODES,
+    NUMBER_FORMATS,
+    formatNumber,
+    Teleprinter,
+};
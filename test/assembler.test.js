@@ -0,0 +1,94 @@
+/**
+ * test/assembler.test.js
+ *
+ * The assembler's diagnostics, directives and operand expressions: each bad
+ * program must be refused with a message at the right line and column, not
+ * assembled into the wrong words or left to crash.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assemble, AssemblyError } = require('../assembler');
+
+// The diagnostics assembling `source` reports, formatted; [] if it assembles.
+function errors(source, options = {}) {
+    try {
+        assemble(source, { file: 't.asm', ...options });
+        return [];
+    } catch (error) {
+        if (!(error instanceof AssemblyError)) throw error;
+        return error.message.split('\n');
+    }
+}
+
+test('unknown instructions and undefined or duplicate labels are errors', () => {
+    assert.deepEqual(errors('LDX 1\nHLT\n'), ["t.asm:1:1: error: unknown instruction or macro 'LDX'"]);
+    assert.deepEqual(errors('JMP LOOOP\nHLT\n'), ["t.asm:1:5: error: undefined label 'LOOOP'"]);
+    assert.deepEqual(errors('A:\nHLT\nA:\nHLT\n'), ["t.asm:3:1: error: duplicate label 'A' (first defined on line 1)"]);
+});
+
+test('every error is reported, not just the first', () => {
+    assert.equal(errors('LDX 1\nJMP NOWHERE\nLDY\nHLT\n').length, 3);
+});
+
+test('a label after the last word is a warning', () => {
+    const image = assemble('HLT\nEND:\n', { file: 't.asm' });
+    assert.equal(image.warnings.length, 1);
+    assert.equal(image.warnings[0].severity, 'warning');
+    assert.equal(image.warnings[0].message, "label 'END' marks no word of the program");
+});
+
+test('values must fit their field', () => {
+    assert.deepEqual(errors('LAI 0x100000000\nHLT\n'),
+        ['t.asm:1:5: error: 4294967296 does not fit in the 32-bit value field (-2147483648 to 2147483647)']);
+    assert.deepEqual(errors('.WORD 1 << 40\nHLT\n'), ['t.asm:1:7: error: 1099511627776 does not fit in a 40-bit word']);
+});
+
+test('expressions evaluate with labels, constants and every literal form', () => {
+    const image = assemble([
+        '.EQU N, 0b11',
+        'START:',
+        "    LAI 'A' + 0x10 - 0o7 * N",
+        '    LAI N << 4 | 1',
+        '    LAI -5',
+        '    JMPA END - START',
+        'END:',
+        '    HLT',
+    ].join('\n'), { file: 't.asm' });
+    const operands = image.words.slice(0, 4).map(word => BigInt.asIntN(32, word));
+    assert.deepEqual(operands, [60n, 49n, -5n, 4n]);
+});
+
+test('bad expressions are errors at the operator', () => {
+    assert.deepEqual(errors('LAI 1 / 0\nHLT\n'), ['t.asm:1:7: error: division by zero']);
+    assert.deepEqual(errors('LAI 1 << -1\nHLT\n'), ['t.asm:1:7: error: negative shift count -1']);
+    assert.deepEqual(errors('LAI 1 << 3000000000\nHLT\n'), ['t.asm:1:7: error: shift count 3000000000 is larger than the 40-bit word']);
+});
+
+test('.WORD, .SPACE and .EQU fill data memory', () => {
+    const image = assemble('.EQU N, 3\n.DATA 1,2\n.WORD N * 2, -1\n.SPACE 2\n.CODE\nHLT\n', { file: 't.asm' });
+    assert.deepEqual(image.data.map(({ bank, word, value }) => [bank, word, value]), [
+        [1, 2, 6n],
+        [1, 3, (1n << 40n) - 1n],
+        [1, 4, 0n],
+        [1, 5, 0n],
+    ]);
+});
+
+test('words must stay inside main and data memory', () => {
+    assert.deepEqual(errors('.SPACE 3000000\nHLT\n'), ['t.asm:1:1: error: program needs more than the 256 words of main memory']);
+    assert.deepEqual(errors('.ORG 250\n.SPACE 10\nHLT\n'), ['t.asm:2:1: error: program runs past the end of main memory (256 words)']);
+    assert.deepEqual(errors('HLT\n'.repeat(300)), ['t.asm:257:1: error: program needs more than the 256 words of main memory']);
+    assert.deepEqual(errors('.DATA 15,15\n.WORD 1, 2\n.CODE\nHLT\n'), ['t.asm:2:1: error: data runs past the last bank (16 banks of 16 words)']);
+    assert.deepEqual(errors('.DATA 16,0\n'), ['t.asm:1:7: error: bank 16 does not exist (16 banks)']);
+});
+
+test('a word cannot be placed twice', () => {
+    assert.deepEqual(errors('.ORG 5\nHLT\n.ORG 5\nHLT\n'), ['t.asm:4:1: error: address 5 is already used by line 2']);
+});
+
+test('without .ORG the program sits at the end of main memory', () => {
+    const image = assemble('LAI 1\nHLT\n', { file: 't.asm' });
+    assert.equal(image.baseAddress, 254);
+    assert.equal(image.entry, 254);
+});
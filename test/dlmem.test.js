@@ -0,0 +1,87 @@
+/**
+ * test/dlmem.test.js
+ *
+ * The command-line runner, run as a separate process: what it prints and
+ * the exit codes scripts rely on.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EXIT_CODES } = require('../dlmem');
+
+const ROOT = path.join(__dirname, '..');
+
+function dlmem(...args) {
+    const result = spawnSync(process.execPath, [path.join(ROOT, 'dlmem.js'), ...args], {
+        cwd: ROOT,
+        encoding: 'utf8',
+        timeout: 60000,
+    });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('run prints the values and a summary line', () => {
+    const { code, stdout, stderr } = dlmem('run', 'examples/wheeler.asm');
+    assert.equal(code, EXIT_CODES.OK);
+    assert.equal(stdout, '142\n');
+    assert.equal(stderr, 'HLT: pc=244 steps=18 ticks=183880\n');
+});
+
+test('--help and -h print the usage', () => {
+    for (const flag of ['--help', '-h']) {
+        const { code, stdout } = dlmem(flag);
+        assert.equal(code, EXIT_CODES.OK);
+        assert.match(stdout, /^Usage:/);
+    }
+});
+
+test('exit codes tell the outcomes apart', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dlmem-'));
+    try {
+        const write = (name, source) => {
+            const file = path.join(dir, name);
+            fs.writeFileSync(file, source);
+            return file;
+        };
+        assert.equal(dlmem('run').code, EXIT_CODES.USAGE);
+        assert.equal(dlmem('run', path.join(dir, 'missing.asm')).code, EXIT_CODES.USAGE);
+        assert.equal(dlmem('run', write('bad.asm', 'LDX 1\n')).code, EXIT_CODES.ASSEMBLY_ERROR);
+        assert.equal(dlmem('run', write('opcode.asm', '.WORD 0xFF << 32\n')).code, EXIT_CODES.UNKNOWN_OPCODE);
+        assert.equal(dlmem('run', write('loop.asm', 'LOOP:\nJMP LOOP\n'), '--max-steps', '10').code, EXIT_CODES.CYCLE_LIMIT);
+        assert.equal(dlmem('run', write('ret.asm', 'RET\n')).code, EXIT_CODES.MACHINE_FAULT);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a file that cannot be written is reported, not thrown', () => {
+    const missing = path.join(os.tmpdir(), 'dlmem-no-such-directory', 'out');
+    for (const args of [
+        ['asm', 'examples/wheeler.asm', '--listing', missing],
+        ['asm', 'examples/wheeler.asm', '--image', missing],
+        ['run', 'examples/wheeler.asm', '--trace-json', missing],
+        ['run', 'examples/wheeler.asm', '--profile', missing],
+        ['run', 'examples/wheeler.asm', '--dump-image', missing],
+    ]) {
+        const { code, stderr } = dlmem(...args);
+        assert.equal(code, EXIT_CODES.USAGE, args.join(' '));
+        assert.ok(stderr.includes(`${missing}: ENOENT`), args.join(' '));
+    }
+});
+
+test('the documented --physical example runs to the end', () => {
+    const { code, stderr } = dlmem('run', 'examples/wheeler.asm', '--tanks', '16',
+        '--physical', 'medium=wire,pulseRate=500000,temperatureDrift=2');
+    assert.equal(code, EXIT_CODES.OK);
+    assert.match(stderr, /^HLT: /);
+});
+
+test('a line that fails its margin stops the run before its first step', () => {
+    const { code, stderr } = dlmem('run', 'examples/wheeler.asm', '--physical', 'pulseRate=500000');
+    assert.equal(code, EXIT_CODES.MACHINE_FAULT);
+    assert.match(stderr, /^SIGNAL_LOSS: pc=\d+ steps=0 /);
+});
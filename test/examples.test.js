@@ -0,0 +1,129 @@
+/**
+ * test/examples.test.js
+ *
+ * Runs the programs in examples/ through the library API and checks what
+ * they print, why they halt and how many ticks they take. The tick counts
+ * pin down the timing model: a change to them should be deliberate.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createMachine, loadProgram, runProgram, runSimulation, assemble } = require('../cpu2m3');
+const { optimizePlacement } = require('../optimize');
+const { PaperTapeReader } = require('../tape');
+const { Teleprinter } = require('../teleprinter');
+
+const EXAMPLES = path.join(__dirname, '..', 'examples');
+
+// Runs an example on a quiet machine, as `dlmem.js run` does.
+function runExample(name, options = {}) {
+    const file = path.join(EXAMPLES, name);
+    return runSimulation(fs.readFileSync(file, 'utf8'), {
+        file,
+        traceLevel: 'none',
+        logger: null,
+        cycleLimit: 100000,
+        teleprinter: new Teleprinter(),
+        ...options,
+    });
+}
+
+const EXPECTED = [
+    { name: 'countdown.asm', outputs: [5n, 4n, 3n, 2n, 1n], steps: 23, ticks: 235520 },
+    { name: 'data.asm', outputs: [11n, -22n, -11n], steps: 10, ticks: 112640 },
+    { name: 'mul.asm', outputs: [42n], steps: 5, ticks: 61440 },
+    { name: 'successor.asm', outputs: [142n], steps: 17, ticks: 183880 },
+    { name: 'wheeler-macros.asm', outputs: [142n], steps: 18, ticks: 183920 },
+    { name: 'wheeler.asm', outputs: [142n], steps: 18, ticks: 183880 },
+    { name: 'index.asm', outputs: [10n, 20n, 30n, 40n, 50n, 150n], steps: 39, ticks: 409600 },
+    { name: 'call.asm', outputs: [142n], steps: 10, ticks: 112440 },
+];
+
+for (const { name, outputs, steps, ticks } of EXPECTED) {
+    test(`${name} prints ${outputs.join(' ')} and halts after ${ticks} ticks`, () => {
+        const result = runExample(name);
+        assert.deepEqual(result.outputs, outputs);
+        assert.equal(result.haltReason, 'HLT');
+        assert.equal(result.steps, steps);
+        assert.equal(result.totalTicks, ticks);
+    });
+}
+
+test('tape.asm sums the numbers on its tape', () => {
+    const result = runExample('tape.asm', { tape: PaperTapeReader.fromFile(path.join(EXAMPLES, 'numbers.tape')) });
+    assert.deepEqual(result.outputs, [5n, 12n, 4n, 104n]);
+    assert.equal(result.haltReason, 'HLT');
+    assert.equal(result.totalTicks, 266240);
+});
+
+test('tape.asm prints nothing from an empty reader', () => {
+    const result = runExample('tape.asm');
+    assert.deepEqual(result.outputs, []);
+    assert.equal(result.haltReason, 'HLT');
+});
+
+test('reading past the end of the tape is a machine fault', () => {
+    const result = runSimulation('RDN\nRDN\nHLT\n', {
+        traceLevel: 'none',
+        logger: null,
+        tape: new PaperTapeReader('7'),
+    });
+    assert.equal(result.haltReason, 'END_OF_TAPE');
+    assert.equal(result.registers.A.value, 7n);
+});
+
+test('teleprinter.asm prints text and numbers in ITA2', () => {
+    const result = runExample('teleprinter.asm', { teleprinter: new Teleprinter({ code: 'ita2' }) });
+    assert.equal(result.haltReason, 'HLT');
+    assert.equal(result.totalTicks, 235520);
+    assert.deepEqual(result.printed.trim().split(/\s+/), [
+        'HELLO',
+        '-0.750000000000',
+        '-412316860416',
+        'A000000000',
+        '12000000000000',
+        '1010000000000000000000000000000000000000',
+    ]);
+});
+
+test('data words preloaded anywhere in a bank read back whole', () => {
+    const result = runSimulation('.DATA 1,7\n.WORD 5\n.CODE\nLDA 1, 7\nPRA\nHLT\n', {
+        traceLevel: 'none',
+        logger: null,
+        teleprinter: new Teleprinter(),
+    });
+    assert.deepEqual(result.outputs, [5n]);
+    assert.deepEqual(result.dataMemory[1].filter(word => word !== 0n), [5n]);
+});
+
+test('more program tanks cut the waits', () => {
+    assert.equal(runExample('wheeler.asm', { programTanks: 8 }).totalTicks, 22600);
+    assert.equal(runExample('call.asm', { programTanks: 8 }).totalTicks, 13880);
+});
+
+test('createMachine, loadProgram and runProgram run an example step by step', () => {
+    const file = path.join(EXAMPLES, 'mul.asm');
+    const cpu = createMachine({ traceLevel: 'none', logger: null, teleprinter: new Teleprinter() });
+    loadProgram(cpu, assemble(fs.readFileSync(file, 'utf8'), { file }));
+    const result = runProgram(cpu, { cycleLimit: 100 });
+    assert.deepEqual(result.outputs, [42n]);
+    assert.equal(result.printed, '42\n');
+    assert.equal(result.haltReason, 'HLT');
+    assert.equal(result.totalTicks, 61440);
+});
+
+test('a cycle limit halts a program that has not finished', () => {
+    const result = runExample('countdown.asm', { cycleLimit: 5 });
+    assert.equal(result.haltReason, 'CYCLE_LIMIT');
+    assert.equal(result.steps, 5);
+});
+
+test('placing wheeler.asm saves ticks without changing what it prints', () => {
+    const file = path.join(EXAMPLES, 'wheeler.asm');
+    const source = fs.readFileSync(file, 'utf8');
+    const result = optimizePlacement(source, assemble(source, { file }), { file });
+    assert.ok(result.sameBehaviour);
+    assert.deepEqual(result.measured, { before: 183880, after: 164600 });
+});
@@ -0,0 +1,103 @@
+/**
+ * test/geometry.test.js
+ *
+ * Machines other than the default: programs must assemble, run and be
+ * profiled on 32- and 48-bit words and wider banks, and a program must not
+ * load on a machine it was not assembled for.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createMachine, loadProgram, runProgram, runSimulation, assemble } = require('../cpu2m3');
+const { AssemblyError } = require('../assembler');
+const { makeGeometry } = require('../geometry');
+const { Profiler } = require('../profiler');
+const { Teleprinter } = require('../teleprinter');
+
+const EXAMPLES = path.join(__dirname, '..', 'examples');
+
+function run(source, geometry, file = 't.asm') {
+    return runSimulation(source, {
+        file,
+        geometry,
+        traceLevel: 'none',
+        logger: null,
+        cycleLimit: 100000,
+        teleprinter: new Teleprinter(),
+    });
+}
+
+function runExample(name, geometry) {
+    const file = path.join(EXAMPLES, name);
+    return run(fs.readFileSync(file, 'utf8'), geometry, file);
+}
+
+const VARIANTS = [
+    { geometry: { wordSize: 32 }, wheeler: 147104, data: 90112 },
+    { geometry: { wordSize: 48 }, wheeler: 220656, data: 135168 },
+    { geometry: { memoryWords: 512 }, wheeler: 368200, data: 225280 },
+];
+
+for (const { geometry, wheeler, data } of VARIANTS) {
+    test(`the examples run unchanged on ${JSON.stringify(geometry)}`, () => {
+        const jump = runExample('wheeler.asm', geometry);
+        assert.deepEqual(jump.outputs, [142n]);
+        assert.equal(jump.haltReason, 'HLT');
+        assert.equal(jump.totalTicks, wheeler);
+        const stored = runExample('data.asm', geometry);
+        assert.deepEqual(stored.outputs, [11n, -22n, -11n]);
+        assert.equal(stored.totalTicks, data);
+    });
+}
+
+test('operand fields follow the geometry', () => {
+    assert.equal(makeGeometry({ wordSize: 32 }).operandWidth, 24);
+    assert.equal(makeGeometry({ wordsPerBank: 64 }).wordWidth, 6);
+    const result = run('.DATA 1,31\n.WORD 5\n.CODE\nLDA 1, 31\nPRA\nHLT\n', { wordsPerBank: 32 });
+    assert.deepEqual(result.outputs, [5n]);
+    assert.deepEqual(result.dataMemory[1][31], 5n);
+});
+
+test('PRA takes its sign bit from the word size', () => {
+    assert.deepEqual(run('LAI -3\nPRA\nHLT\n', { wordSize: 32 }).outputs, [-3n]);
+    assert.deepEqual(run('LAI -3\nPRA\nHLT\n', { wordSize: 48 }).outputs, [-3n]);
+});
+
+test('only the successor format reserves the successor field', () => {
+    assert.deepEqual(run('LAI 5\nPRA\nHLT\n', { wordSize: 24 }).outputs, [5n]);
+    assert.throws(() => assemble('.FORMAT SUCCESSOR\nHLT\n', { file: 't.asm', geometry: { wordSize: 24 } }), error =>
+        error instanceof AssemblyError && /16-bit operand field/.test(error.message));
+});
+
+test('shift counts are limited by the word size', () => {
+    assert.throws(() => assemble('LAI 1 << 33\nHLT\n', { file: 't.asm', geometry: { wordSize: 32 } }),
+        /shift count 33 is larger than the 32-bit word/);
+});
+
+test('a program does not load on a machine with another geometry', () => {
+    const cpu = createMachine({ traceLevel: 'none', logger: null, geometry: { wordSize: 32 } });
+    assert.throws(() => loadProgram(cpu, assemble('HLT\n')), /was assembled for 40-bit words/);
+});
+
+test('the data heatmap lines up with banks wider than 16 words', () => {
+    const cpu = createMachine({
+        traceLevel: 'instr',
+        logger: null,
+        teleprinter: new Teleprinter(),
+        geometry: { wordsPerBank: 32 },
+    });
+    const profiler = new Profiler(cpu);
+    loadProgram(cpu, assemble('LDA 0, 20\nHLT\n', { file: 't.asm', geometry: cpu.geometry }));
+    runProgram(cpu);
+    const lines = profiler.report().split('\n');
+    const heading = lines.findIndex(line => line.startsWith('Data memory'));
+    const header = lines[heading + 1];
+    const rows = lines.slice(heading + 2, heading + 4);
+    assert.equal(header.trim(), '0123456789ABCDEF');
+    assert.deepEqual(rows.map(row => row.slice(0, header.indexOf('0')).trim()), ['0,0', '0,16']);
+    for (const row of rows) assert.equal(row.indexOf('|'), header.length);
+    // Word 20 is column 4 of the row starting at word 16.
+    assert.notEqual(rows[1][header.indexOf('4')], ' ');
+});
@@ -0,0 +1,70 @@
+/**
+ * test/isa.test.js
+ *
+ * The declarative instruction set: encodings must be unique, every
+ * instruction must survive encoding and decoding, and the README table must
+ * be the one generated from the list.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { INSTRUCTIONS, ISA, buildIsa, encode, decode, disassemble, markdownTable } = require('../isa');
+const { runSimulation } = require('../cpu2m3');
+const { Teleprinter } = require('../teleprinter');
+
+test('two instructions cannot share an opcode or a mnemonic', () => {
+    const jmpa = ISA.byMnemonic.JMPA;
+    assert.throws(() => buildIsa([...INSTRUCTIONS, { mnemonic: 'XXX', opcode: jmpa.opcode, format: 'none', description: '' }]),
+        /^Error: ISA: XXX and JMPA share opcode 0b00011011$/);
+    assert.throws(() => buildIsa([...INSTRUCTIONS, { ...ISA.byMnemonic.HLT, opcode: 0b11111110 }]),
+        /^Error: ISA: mnemonic HLT is defined twice$/);
+    assert.throws(() => buildIsa([{ mnemonic: 'XXX', opcode: 256, format: 'none', description: '' }]),
+        /does not fit in 8 bits/);
+});
+
+test('every opcode decodes to its own instruction', () => {
+    for (const instruction of INSTRUCTIONS) {
+        const { instruction: decoded } = decode(encode(instruction));
+        assert.equal(decoded.mnemonic, instruction.mnemonic);
+    }
+});
+
+test('operand fields survive encoding, decoding and disassembly', () => {
+    const cases = [
+        ['LAI', [-5n], 'LAI -5'],
+        ['JMPA', [12n], 'JMPA 12'],
+        ['LDA', [3n, 15n, 0n], 'LDA 3, 15'],
+        ['LDA', [3n, 15n, 2n], 'LDA 3, 15, X2'],
+    ];
+    for (const [mnemonic, values, text] of cases) {
+        const word = encode(ISA.byMnemonic[mnemonic], values);
+        assert.deepEqual(Object.values(decode(word).fields), values);
+        assert.equal(disassemble(word), text);
+    }
+});
+
+test('AND executes as AND, not as the jump that once shared its opcode', () => {
+    const result = runSimulation('LAI 12\nLBI 10\nAND\nPRA\nHLT\n', {
+        traceLevel: 'none',
+        logger: null,
+        teleprinter: new Teleprinter(),
+    });
+    assert.deepEqual(result.outputs, [8n]);
+    assert.equal(result.haltReason, 'HLT');
+});
+
+test('LEA loads register A as LEB loads register B', () => {
+    const lea = runSimulation('LEA 7\nHLT\n', { traceLevel: 'none', logger: null });
+    const leb = runSimulation('LEB 7\nHLT\n', { traceLevel: 'none', logger: null });
+    assert.notEqual(lea.registers.A.value, 0n);
+    assert.equal(lea.registers.B.value, 0n);
+    assert.equal(leb.registers.B.value, lea.registers.A.value);
+    assert.equal(leb.registers.A.value, 0n);
+});
+
+test('the README instruction table is generated from the ISA', () => {
+    const readme = fs.readFileSync(path.join(__dirname, '..', 'README.md'), 'utf8');
+    assert.ok(readme.includes(markdownTable()));
+});
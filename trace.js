@@ -0,0 +1,164 @@
+/**
+ * trace.js
+ *
+ * Trace levels and writers for the events emitted by SimpleCPU (cpu2m3.js).
+ *
+ * The CPU never prints its own activity. Instead it emits named events
+ * (fetch, align-wait, exec, mem-read, mem-write, jump, input, register,
+ * output, fault, fault-read, error-corrected, halt and free-form log
+ * messages), each carrying the tick and PC at which it happened. The writers
+ * below turn those events into a human-readable console trace or into JSON
+ * lines that can be diffed between runs or fed to tools.
+ */
+
+// Trace levels, from quietest to noisiest.
+const TRACE_LEVELS = { none: 0, instr: 1, bit: 2 };
+
+// The lowest trace level at which each CPU event is emitted.
+const EVENT_LEVELS = {
+    'output': 'none',      // a number or character sent to the teleprinter
+    'halt': 'none',        // the CPU stopped; carries the halt reason
+    'fault': 'none',       // a machine fault stopped the CPU; carries the fault and its details
+    'align-wait': 'instr', // idle circulation until a word reaches the head
+    'fetch': 'instr',      // an instruction word was read into IR, with its successor if any
+    'exec': 'instr',       // the decoded instruction is about to execute
+    'mem-read': 'instr',   // a word was read from program or data memory
+    'mem-write': 'instr',  // a word was written to program or data memory
+    'jump': 'instr',       // a jump was decided, taken or not
+    'input': 'instr',      // a value read from an input device, with the ticks the CPU waited for it
+    'fault-read': 'instr', // the CPU read a bit changed by an injected fault (see faults.js)
+    'error-corrected': 'instr', // a memory word's check bits corrected an error (see ecc.js)
+    'register': 'bit',     // the bits of a register after it changed
+};
+
+// The trace level of a record; log messages carry their own.
+function recordLevel(record) {
+    return record.event === 'log' ? record.level : EVENT_LEVELS[record.event];
+}
+
+// The noisier of two trace levels.
+function maxTraceLevel(a, b) {
+    return TRACE_LEVELS[a] >= TRACE_LEVELS[b] ? a : b;
+}
+
+function describeLocation(record) {
+    if (record.memory === 'program') return `program word ${record.address}`;
+    if (record.memory === 'stack') return `return stack word ${record.slot}`;
+    return `Mem[${record.bank},${record.word}]`;
+}
+
+/**
+ * Formats a trace record as console text.
+ * @param {object} record A record from the CPU's 'trace' event.
+ * @param {number} wordSize Bits per word, used to pad IR.
+ * @returns {string|null} The text, or null for events that print nothing.
+ */
+function formatRecord(record, wordSize) {
+    switch (record.event) {
+        case 'log':
+            return record.message;
+        case 'align-wait':
+            if (record.ticks === 0) return null;
+            if (record.memory === 'program') {
+                return `      -> Aligning program memory: word ${record.from} -> ${record.to} (${record.ticks} ticks)`;
+            }
+            if (record.memory === 'stack') {
+                return `      -> Aligning return stack: word ${record.from} -> ${record.to} (${record.ticks} ticks)`;
+            }
+            return `      -> Aligning bank ${record.bank}: word ${record.from} -> ${record.to} (${record.ticks} ticks)`;
+        case 'fetch':
+            return `\nTick ${record.tick}: PC=${record.pc}. IR=0b${record.ir.toString(2).padStart(wordSize, '0')}`
+                + (record.successor !== undefined ? ` next=${record.successor}` : '');
+        case 'exec':
+            return `  EXEC: ${record.disassembly}`;
+        case 'mem-read':
+            if (record.memory === 'stack') return `      -> Popped ${record.value} from ${describeLocation(record)}`;
+            return `      -> Read ${describeLocation(record)} into Reg ${record.register}: ${record.value}`;
+        case 'mem-write':
+            if (record.memory === 'stack') return `      -> Pushed ${record.value} onto ${describeLocation(record)}`;
+            return `      -> Wrote Reg ${record.register} to ${describeLocation(record)}: ${record.value}`;
+        case 'input':
+            return `      -> Read ${record.value} from the ${record.device} (${record.ticks} ticks)`;
+        case 'jump':
+            return `      -> Jump to ${record.target} ${record.taken ? 'taken' : 'not taken'}`;
+        case 'register':
+            return ` Reg ${record.register}: ${record.bits}`;
+        case 'fault-read':
+            return `      -> Read a bit hit by a ${record.kind} fault at tick ${record.injectedAt}: `
+                + `${record.line}${record.word !== undefined ? ` word ${record.word}` : ''} bit ${record.bit}`;
+        case 'error-corrected':
+            return `      -> Corrected ${record.bit !== undefined ? `bit ${record.bit}` : 'a check bit'} of ${describeLocation(record)} `
+                + `(syndrome ${record.syndrome})`;
+        case 'fault':
+            if (record.syndrome !== undefined) {
+                return `\n*** MACHINE FAULT: ${record.fault} in ${describeLocation(record)}, syndrome ${record.syndrome}, at PC=${record.pc} ***`;
+            }
+            if (record.drift !== undefined) {
+                return `\n*** MACHINE FAULT: ${record.fault} in the ${record.line}, drift ${record.drift} bit `
+                    + `(tolerance ${record.tolerance}) at ${record.temperature} °C, at PC=${record.pc} ***`;
+            }
+            if (record.margin !== undefined) {
+                return `\n*** MACHINE FAULT: ${record.fault} in the ${record.line}, signal margin ${record.margin} dB, at PC=${record.pc} ***`;
+            }
+            return `\n*** MACHINE FAULT: ${record.fault} at PC=${record.pc} ***`;
+        case 'halt':
+            return `\n--- HALT (${record.reason}) ---`;
+        default:
+            return null; // 'output' is printed by the CPU's output sink
+    }
+}
+
+/**
+ * Prints the CPU's trace events as text.
+ * @param {SimpleCPU} cpu
+ * @param {object} [options={}]
+ * @param {string} [options.level=cpu.traceLevel] Only events up to this level are printed.
+ * @param {function(string)} [options.logger=console.log] Receives each line.
+ * @returns {function()} Detaches the writer.
+ */
+function attachConsoleTrace(cpu, options = {}) {
+    const level = options.level || cpu.traceLevel;
+    const logger = options.logger || console.log;
+    const wordSize = cpu.regA.size;
+    const listener = record => {
+        if (TRACE_LEVELS[recordLevel(record)] > TRACE_LEVELS[level]) return;
+        const text = formatRecord(record, wordSize);
+        if (text !== null) logger(text);
+    };
+    cpu.on('trace', listener);
+    return () => cpu.off('trace', listener);
+}
+
+// Serialises a record as one line of JSON. BigInt values become decimal strings.
+function toJsonLine(record) {
+    return JSON.stringify(record, (key, value) => typeof value === 'bigint' ? value.toString() : value) + '\n';
+}
+
+/**
+ * Writes the CPU's trace events as JSON lines, one object per event, so that
+ * two runs can be compared with `diff` or processed by other tools.
+ * @param {SimpleCPU} cpu
+ * @param {function(string)} write Receives each line, newline included.
+ * @param {object} [options={}]
+ * @param {string} [options.level=cpu.traceLevel] Only events up to this level are written.
+ * @returns {function()} Detaches the writer.
+ */
+function attachJsonTrace(cpu, write, options = {}) {
+    const level = options.level || cpu.traceLevel;
+    const listener = record => {
+        if (TRACE_LEVELS[recordLevel(record)] > TRACE_LEVELS[level]) return;
+        write(toJsonLine(record));
+    };
+    cpu.on('trace', listener);
+    return () => cpu.off('trace', listener);
+}
+
+module.exports = {
+    TRACE_LEVELS,
+    EVENT_LEVELS,
+    maxTraceLevel,
+    formatRecord,
+    toJsonLine,
+    attachConsoleTrace,
+    attachJsonTrace,
+};